@@ -0,0 +1,148 @@
+// lib/auto.js — Checkpoints for golem auto (spec → plan → build → release)
+//
+// golem auto runs the workflow commands one after another, headlessly. A
+// command exiting 0 is not enough to move on: each step has a checkpoint that
+// looks for the artifact the next step needs. The first failed step stops the
+// pipeline. Nothing is lost by stopping — the failed step's phase gate still
+// accepts the project, so `golem auto --from <step>` picks up where it broke.
+// The one exception is a blocked build: golem build no longer accepts it, so
+// the build step runs golem resume instead.
+
+const fs = require('fs');
+const path = require('path');
+const { readState } = require('./state.js');
+
+const STEPS = ['spec', 'plan', 'build', 'release'];
+
+/**
+ * Markdown files in .golem/specs with their modification times
+ * @param {string} cwd - Project root
+ * @returns {object} {name: mtimeMs}
+ */
+function listSpecs(cwd) {
+  const dir = path.join(cwd, '.golem', 'specs');
+  const specs = {};
+  try {
+    for (const name of fs.readdirSync(dir)) {
+      if (name.endsWith('.md')) specs[name] = fs.statSync(path.join(dir, name)).mtimeMs;
+    }
+  } catch { /* no specs yet */ }
+  return specs;
+}
+
+/**
+ * Snapshot taken before a step runs, so its checkpoint can tell new output from old
+ * @param {string} cwd - Project root
+ * @returns {object} {specs, planMtime}
+ */
+function snapshot(cwd) {
+  let planMtime = null;
+  try {
+    planMtime = fs.statSync(path.join(cwd, '.golem', 'plans', 'current.md')).mtimeMs;
+  } catch { /* no plan yet */ }
+  return { specs: listSpecs(cwd), planMtime };
+}
+
+/**
+ * Phase from state.json, or null when missing or unreadable
+ * @param {string} cwd - Project root
+ * @returns {string|null}
+ */
+function phaseOf(cwd) {
+  try {
+    const current = readState(cwd);
+    return current ? current.state.phase : null;
+  } catch {
+    return null;
+  }
+}
+
+const CHECKPOINTS = {
+  spec: (cwd, before) => {
+    const specs = listSpecs(cwd);
+    const written = Object.keys(specs).filter(name => !(name in before.specs) || specs[name] > before.specs[name]);
+    return written.length
+      ? { ok: true, detail: `.golem/specs/${written.sort().pop()}` }
+      : { ok: false, detail: 'no new spec in .golem/specs/' };
+  },
+  plan: (cwd, before) => {
+    const after = snapshot(cwd).planMtime;
+    if (after === null) return { ok: false, detail: '.golem/plans/current.md was not written' };
+    if (before.planMtime !== null && after <= before.planMtime) return { ok: false, detail: '.golem/plans/current.md is unchanged' };
+    return { ok: true, detail: '.golem/plans/current.md' };
+  },
+  build: cwd => {
+    const phase = phaseOf(cwd);
+    return phase === 'complete'
+      ? { ok: true, detail: 'phase: complete' }
+      : { ok: false, detail: `phase is "${phase}", expected "complete"` };
+  },
+  release: cwd => {
+    const phase = phaseOf(cwd);
+    return phase === 'released'
+      ? { ok: true, detail: 'phase: released' }
+      : { ok: false, detail: `phase is "${phase}", expected "released"` };
+  },
+};
+
+/**
+ * The slice of the pipeline to run
+ * @param {string} from - First step
+ * @param {string} to - Last step
+ * @returns {string[]}
+ * @throws {Error} For unknown steps or a --to before --from
+ */
+function selectSteps(from, to) {
+  for (const step of [from, to]) {
+    if (!STEPS.includes(step)) throw new Error(`Unknown step "${step}" (expected one of: ${STEPS.join(', ')})`);
+  }
+  const start = STEPS.indexOf(from);
+  const end = STEPS.indexOf(to);
+  if (end < start) throw new Error(`--to ${to} comes before --from ${from}`);
+  return STEPS.slice(start, end + 1);
+}
+
+/**
+ * Where a pipeline starts when --from is not given: the step the current phase leads into
+ * @param {string|null} phase
+ * @returns {string|null} null when there is nothing left to run (or no discussion yet)
+ */
+function defaultStart(phase) {
+  switch (phase) {
+    case 'discussed': return 'spec';
+    case 'specced': return 'plan';
+    case 'planned': case 'building': case 'blocked': return 'build';
+    case 'complete': return 'release';
+    default: return null;
+  }
+}
+
+/**
+ * The golem command that runs a step from the current phase
+ * @param {string} step - Pipeline step
+ * @param {string|null} phase
+ * @returns {string} The step itself, or "resume" for a build that is blocked
+ */
+function commandFor(step, phase) {
+  return step === 'build' && phase === 'blocked' ? 'resume' : step;
+}
+
+/**
+ * Check a step's output
+ * @param {string} step - Pipeline step
+ * @param {string} cwd - Project root
+ * @param {object} before - snapshot() taken before the step ran
+ * @returns {object} {ok, detail}
+ */
+function checkpoint(step, cwd, before) {
+  return CHECKPOINTS[step](cwd, before);
+}
+
+module.exports = {
+  STEPS,
+  snapshot,
+  selectSteps,
+  defaultStart,
+  commandFor,
+  checkpoint,
+};
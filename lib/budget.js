@@ -0,0 +1,91 @@
+// lib/budget.js — Time budgets and retries for headless workflow commands
+//
+// Each workflow command has a wall-clock budget (<command>TimeoutMinutes in
+// config, 0 for none). The budget covers every attempt: when it runs out the
+// claude process gets SIGTERM, then SIGKILL after a grace period, and is not
+// retried. Commands that are safe to run twice (golem resume picks up from
+// state.json) are retried on failure up to maxRetries times, waiting
+// retryBackoffSeconds before the first retry and doubling after each one.
+
+const TIMED_OUT_STATUS = 124;
+const KILL_GRACE_MS = 10 * 1000;
+// Time for the run recorder to exit after it has killed claude
+const RECORDER_MARGIN_MS = 5 * 1000;
+const RETRYABLE_COMMANDS = ['resume'];
+
+/**
+ * Config key holding a command's budget
+ * @param {string} command - Workflow command name
+ * @returns {string} e.g. buildTimeoutMinutes
+ */
+function timeoutKey(command) {
+  return `${command}TimeoutMinutes`;
+}
+
+/**
+ * Budget for one command
+ * @param {string} command - Workflow command name
+ * @param {object} config - Effective configuration values
+ * @returns {object} {timeoutMs (0 = none), maxRetries, backoffMs}
+ */
+function budgetFor(command, config) {
+  const minutes = config[timeoutKey(command)] || 0;
+  return {
+    timeoutMs: Math.max(0, minutes) * 60 * 1000,
+    maxRetries: RETRYABLE_COMMANDS.includes(command) ? Math.max(0, Math.floor(config.maxRetries || 0)) : 0,
+    backoffMs: Math.max(0, config.retryBackoffSeconds || 0) * 1000,
+  };
+}
+
+/**
+ * Wait before a retry: backoffMs, doubled after each failed retry
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {number} backoffMs - Base delay
+ * @returns {number} Milliseconds
+ */
+function backoffDelay(attempt, backoffMs) {
+  return backoffMs * 2 ** (attempt - 1);
+}
+
+/**
+ * Block the process for a while (the CLI is synchronous throughout)
+ * @param {number} ms
+ */
+function sleep(ms) {
+  if (ms > 0) Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Outer timeout for the run recorder (lib/runs.js). The recorder stops claude
+ * itself at remainingMs, SIGTERM then SIGKILL; this fires only after both, so
+ * killing the recorder never leaves claude running on its own
+ * @param {number} remainingMs - What is left of the budget (> 0)
+ * @returns {number} Milliseconds
+ */
+function recorderTimeout(remainingMs) {
+  return remainingMs + KILL_GRACE_MS + RECORDER_MARGIN_MS;
+}
+
+/**
+ * Classify a finished command for state.json's last_run
+ * @param {number|null} status - Exit status of the last attempt
+ * @param {boolean} timedOut - Whether the budget ran out
+ * @returns {string} One of state.js RUN_OUTCOMES
+ */
+function outcomeOf(status, timedOut) {
+  if (timedOut) return 'timed_out';
+  return status === 0 ? 'succeeded' : 'failed';
+}
+
+module.exports = {
+  TIMED_OUT_STATUS,
+  KILL_GRACE_MS,
+  RECORDER_MARGIN_MS,
+  RETRYABLE_COMMANDS,
+  timeoutKey,
+  budgetFor,
+  backoffDelay,
+  sleep,
+  recorderTimeout,
+  outcomeOf,
+};
@@ -0,0 +1,135 @@
+// lib/claude.js — The claude executable golem runs, and a stub that stands in for it
+//
+// Workflow commands run `<claudeBin> -p "/golem-<command> ..."`. claudeBin
+// (config, or GOLEM_CLAUDE_BIN) is the claude on PATH by default and may name
+// another command or a path. The value "stub" runs this file instead: a fake
+// claude that replays what a real run would leave behind from a fixture
+// directory (stubFixtures, or GOLEM_STUB_FIXTURES), so the whole workflow can
+// run offline and deterministically:
+//
+//   <fixtures>/<command>/files/        copied over the project root
+//   <fixtures>/<command>/state.json    merged into .golem/state.json
+//   <fixtures>/<command>/stdout.txt    printed
+//   <fixtures>/<command>/exit_status   exit status (default 0)
+//
+// <command> is the slash command without its /golem- prefix (discuss, spec...).
+// Every part is optional; a command without a fixture directory fails.
+
+const fs = require('fs');
+const path = require('path');
+const stateLib = require('./state.js');
+
+const STUB = 'stub';
+const STUB_SCRIPT = __filename;
+const FIXTURES_ENV = 'GOLEM_STUB_FIXTURES';
+
+/**
+ * How to start claude under a configuration
+ * @param {object} config - Effective configuration values
+ * @returns {object} {bin, command, args, env, stub} — spawn command with args
+ *   before claude's own, and variables to add to its environment
+ */
+function resolveClaude(config) {
+  const bin = config.claudeBin || 'claude';
+  if (bin === STUB) {
+    return {
+      bin,
+      command: process.execPath,
+      args: [STUB_SCRIPT],
+      env: config.stubFixtures ? { [FIXTURES_ENV]: path.resolve(config.stubFixtures) } : {},
+      stub: true,
+    };
+  }
+  return { bin, command: bin, args: [], env: {}, stub: false };
+}
+
+/**
+ * Whether a file can be executed
+ * @param {string} file
+ * @returns {boolean}
+ */
+function isExecutable(file) {
+  try {
+    fs.accessSync(file, fs.constants.X_OK);
+    return fs.statSync(file).isFile();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Whether the configured claude can be started
+ * @param {object} claude - From resolveClaude()
+ * @param {object} [env] - Environment whose PATH is searched
+ * @returns {boolean}
+ */
+function isAvailable(claude, env = process.env) {
+  if (claude.stub) return true;
+  if (claude.bin.includes('/') || claude.bin.includes(path.sep)) return isExecutable(claude.bin);
+  return (env.PATH || '').split(path.delimiter).filter(Boolean)
+    .some(dir => isExecutable(path.join(dir, claude.bin)));
+}
+
+/**
+ * Replay one command's fixture into a project
+ * @param {string} dir - <fixtures>/<command>
+ * @param {string} cwd - Project root
+ * @param {object} [options] - {out} stream for stdout.txt
+ * @returns {number} Exit status
+ */
+function replayFixture(dir, cwd, { out = process.stdout } = {}) {
+  const files = path.join(dir, 'files');
+  if (fs.existsSync(files)) fs.cpSync(files, cwd, { recursive: true });
+
+  const statePatch = path.join(dir, 'state.json');
+  if (fs.existsSync(statePatch)) {
+    const patch = JSON.parse(fs.readFileSync(statePatch, 'utf-8'));
+    stateLib.updateState(cwd, current => ({ ...current, ...patch }), { command: 'claude stub' });
+  }
+
+  const stdout = path.join(dir, 'stdout.txt');
+  if (fs.existsSync(stdout)) out.write(fs.readFileSync(stdout, 'utf-8'));
+
+  const exitStatus = path.join(dir, 'exit_status');
+  return fs.existsSync(exitStatus) ? Number(fs.readFileSync(exitStatus, 'utf-8').trim()) || 0 : 0;
+}
+
+/**
+ * Run as claude: find the slash command after -p and replay its fixture
+ * @param {string[]} argv - claude's arguments
+ * @param {object} [options] - {cwd, env}
+ * @returns {number} Exit status
+ */
+function runStub(argv, { cwd = process.cwd(), env = process.env } = {}) {
+  const prompt = argv[argv.indexOf('-p') + 1] || '';
+  const match = prompt.match(/^\/golem-([a-z-]+)/);
+  if (argv.indexOf('-p') === -1 || !match) {
+    process.stderr.write(`claude stub: expected -p "/golem-<command> ...", got ${JSON.stringify(argv)}\n`);
+    return 1;
+  }
+  const fixtures = env[FIXTURES_ENV];
+  if (!fixtures) {
+    process.stderr.write(`claude stub: no fixture directory (set stubFixtures or ${FIXTURES_ENV})\n`);
+    return 1;
+  }
+  const dir = path.join(fixtures, match[1]);
+  if (!fs.existsSync(dir)) {
+    process.stderr.write(`claude stub: no fixture for /golem-${match[1]} in ${fixtures}\n`);
+    return 1;
+  }
+  return replayFixture(dir, cwd);
+}
+
+if (require.main === module) {
+  process.exitCode = runStub(process.argv.slice(2));
+}
+
+module.exports = {
+  STUB,
+  STUB_SCRIPT,
+  FIXTURES_ENV,
+  resolveClaude,
+  isAvailable,
+  replayFixture,
+  runStub,
+};
@@ -0,0 +1,101 @@
+// lib/commands.js — Slash commands golem can run from the terminal
+//
+// Every .claude/commands/golem-<name>.md is a command: golem <name> [args]
+// runs /golem-<name> headlessly, like the workflow commands. Its frontmatter
+// description is what golem help shows, and its argument-hint says what the
+// command takes: "<topic>" is required, "[path]" optional. Commands in the
+// installed templates ($GOLEM_HOME/templates/commands) are listed too, so
+// golem help can point at ones the project has not installed yet.
+
+const fs = require('fs');
+const path = require('path');
+const { parseFrontmatter } = require('./frontmatter.js');
+
+const COMMAND_FILE = /^golem-([a-z0-9][a-z0-9-]*)\.md$/;
+
+/**
+ * An argument-hint value as text; unquoted "[path]" reads as a YAML list
+ * @param {*} value
+ * @returns {string|null}
+ */
+function hintText(value) {
+  if (value === null || value === undefined || value === '') return null;
+  return Array.isArray(value) ? `[${value.join(', ')}]` : String(value);
+}
+
+/**
+ * Whether an argument hint marks the argument as required
+ * @param {string|null} hint - e.g. "<topic>" or "[path]"
+ * @returns {boolean}
+ */
+function argumentRequired(hint) {
+  return Boolean(hint && hint.trim().startsWith('<'));
+}
+
+/**
+ * Describe the golem-*.md commands in one directory
+ * @param {string} dir - Directory of command files
+ * @param {boolean} installed - Whether the directory is the project's .claude/commands
+ * @returns {object[]} [{name, file, description, argumentHint, installed}]
+ */
+function readCommandDir(dir, installed) {
+  let files;
+  try {
+    files = fs.readdirSync(dir);
+  } catch {
+    return [];
+  }
+  const commands = [];
+  for (const file of files) {
+    const match = file.match(COMMAND_FILE);
+    if (!match) continue;
+    const full = path.join(dir, file);
+    let data;
+    try {
+      data = parseFrontmatter(fs.readFileSync(full, 'utf-8')).data;
+    } catch {
+      continue;
+    }
+    commands.push({
+      name: match[1],
+      file: full,
+      description: data.description ? String(data.description) : '',
+      argumentHint: hintText(data['argument-hint']),
+      installed,
+    });
+  }
+  return commands;
+}
+
+/**
+ * Every golem slash command, the project's first
+ * @param {object} options - {cwd, templatesDir}
+ * @returns {object[]} Sorted by name; a name in both places is the project's
+ */
+function discoverCommands({ cwd = process.cwd(), templatesDir } = {}) {
+  const byName = new Map();
+  const sources = [[path.join(cwd, '.claude', 'commands'), true]];
+  if (templatesDir) sources.push([path.join(templatesDir, 'commands'), false]);
+  for (const [dir, installed] of sources) {
+    for (const command of readCommandDir(dir, installed)) {
+      if (!byName.has(command.name)) byName.set(command.name, command);
+    }
+  }
+  return [...byName.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * First sentence of a description, for one-line listings
+ * @param {string} description
+ * @returns {string}
+ */
+function summary(description) {
+  return (description || '').split(/(?<=[.!?])\s/)[0];
+}
+
+module.exports = {
+  hintText,
+  argumentRequired,
+  discoverCommands,
+  summary,
+};
@@ -0,0 +1,359 @@
+// lib/config.js — Schema-validated, layered golem configuration
+//
+// Precedence (lowest → highest):
+//   default  — SCHEMA below
+//   user     — $GOLEM_HOME/config.json (team-wide defaults)
+//   project  — .golem/config.json
+//   env      — GOLEM_* variables (e.g. GOLEM_MODEL, GOLEM_AUTO_COMMIT)
+
+const fs = require('fs');
+const path = require('path');
+const { validateProfiles } = require('./profiles.js');
+
+// Every key golem understands. Unknown keys are rejected on set and flagged on validate.
+const SCHEMA = {
+  model: {
+    type: 'string',
+    default: 'opus',
+    values: ['opus', 'sonnet', 'haiku'],
+    description: 'Claude model for workflow commands; passed to claude only when set in a config file or GOLEM_MODEL',
+  },
+  autoCommit: {
+    type: 'boolean',
+    default: true,
+    description: 'Commit after each completed build task',
+  },
+  simplifyOnBuild: {
+    type: 'boolean',
+    default: true,
+    description: 'Run a simplify pass at the end of the build loop',
+  },
+  templatesDir: {
+    type: 'string',
+    default: '',
+    description: 'Directory golem init copies templates from (empty: $GOLEM_HOME/templates)',
+  },
+  minNodeVersion: {
+    type: 'number',
+    default: 18,
+    description: 'Minimum Node.js major version golem doctor accepts',
+  },
+  strict: {
+    type: 'boolean',
+    default: false,
+    description: 'Stricter golem doctor checks (warn about unpinned MCP package ranges)',
+  },
+  claudeBin: {
+    type: 'string',
+    default: 'claude',
+    description: 'Claude executable for workflow commands (a command, a path, or "stub" to replay stubFixtures)',
+  },
+  stubFixtures: {
+    type: 'string',
+    default: '',
+    description: 'Fixture directory the "stub" claudeBin replays (see lib/claude.js)',
+  },
+  profiles: {
+    type: 'object',
+    default: {},
+    validate: validateProfiles,
+    description: 'Named claude flag sets (model, maxTurns, permissionMode, allowedTools, outputFormat); see lib/profiles.js',
+  },
+  maxRetries: {
+    type: 'number',
+    default: 2,
+    min: 0,
+    description: 'Retries after a failed or timed-out golem resume run',
+  },
+  retryBackoffSeconds: {
+    type: 'number',
+    default: 30,
+    min: 0,
+    description: 'Wait before the first retry (doubles after each one)',
+  },
+};
+
+// Wall-clock budget per headless workflow command (see lib/budget.js)
+const COMMAND_TIMEOUTS = { discuss: 30, spec: 30, plan: 30, build: 480, resume: 480, release: 30 };
+for (const [command, minutes] of Object.entries(COMMAND_TIMEOUTS)) {
+  SCHEMA[`${command}TimeoutMinutes`] = {
+    type: 'number',
+    default: minutes,
+    min: 0,
+    description: `Minutes before a headless golem ${command} is killed (0: no limit)`,
+  };
+}
+
+const LAYERS = ['default', 'user', 'project', 'env'];
+
+/**
+ * Path to the project config file
+ * @param {string} cwd - Project root
+ * @returns {string} Absolute path to .golem/config.json
+ */
+function getConfigPath(cwd) {
+  return path.join(cwd || process.cwd(), '.golem', 'config.json');
+}
+
+/**
+ * Path to the user (team-wide) config file
+ * @param {string} golemHome - GOLEM_HOME directory
+ * @returns {string} Absolute path to $GOLEM_HOME/config.json
+ */
+function getUserConfigPath(golemHome) {
+  return path.join(golemHome, 'config.json');
+}
+
+/**
+ * Environment variable that overrides a key (autoCommit → GOLEM_AUTO_COMMIT)
+ * @param {string} key - Config key
+ * @returns {string}
+ */
+function envVarName(key) {
+  return 'GOLEM_' + key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+/**
+ * Read a config file
+ * @param {string} filePath - Path to config.json
+ * @returns {object} Parsed config ({} when the file does not exist)
+ * @throws {Error} When the file is not a JSON object
+ */
+function readConfig(filePath) {
+  if (!fs.existsSync(filePath)) return {};
+  let obj;
+  try {
+    obj = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch {
+    throw new Error(`${filePath} is not valid JSON`);
+  }
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
+    throw new Error(`${filePath} must contain a JSON object`);
+  }
+  return obj;
+}
+
+/**
+ * Write a config file (creates the parent directory if needed)
+ * @param {string} filePath - Path to config.json
+ * @param {object} config - Config object
+ */
+function writeConfig(filePath, config) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(filePath, JSON.stringify(config, null, 2) + '\n');
+}
+
+/**
+ * Check whether a key is declared in the schema
+ * @param {string} key - Config key
+ * @returns {boolean}
+ */
+function isKnownKey(key) {
+  return Object.prototype.hasOwnProperty.call(SCHEMA, key);
+}
+
+/**
+ * Format the "unknown key" error message
+ * @param {string} key - Offending key
+ * @returns {string}
+ */
+function unknownKeyError(key) {
+  return `Unknown config key "${key}". Valid keys: ${Object.keys(SCHEMA).join(', ')}`;
+}
+
+/**
+ * Validate an already-typed value against the schema
+ * @param {string} key - Config key
+ * @param {*} value - Value to check
+ * @returns {object} {valid: bool, error?: string}
+ */
+function validateValue(key, value) {
+  if (!isKnownKey(key)) {
+    return { valid: false, error: unknownKeyError(key) };
+  }
+  const def = SCHEMA[key];
+  if (typeof value !== def.type || value === null || Array.isArray(value)) {
+    return { valid: false, error: `"${key}" must be a ${def.type}, got ${JSON.stringify(value)}` };
+  }
+  if (def.values && !def.values.includes(value)) {
+    return { valid: false, error: `"${key}" must be one of: ${def.values.join(', ')}` };
+  }
+  if (def.min !== undefined && value < def.min) {
+    return { valid: false, error: `"${key}" must be at least ${def.min}, got ${value}` };
+  }
+  const problem = def.validate ? def.validate(value) : null;
+  if (problem) return { valid: false, error: problem };
+  return { valid: true };
+}
+
+/**
+ * Parse a raw CLI string into a typed value for a key
+ * @param {string} key - Config key
+ * @param {string} raw - Value as typed on the command line
+ * @returns {object} {valid: bool, value?: *, error?: string}
+ */
+function parseValue(key, raw) {
+  if (!isKnownKey(key)) {
+    return { valid: false, error: unknownKeyError(key) };
+  }
+  const def = SCHEMA[key];
+  let value = raw;
+  if (def.type === 'boolean') {
+    const normalized = String(raw).toLowerCase();
+    if (['true', 'yes', 'on', '1'].includes(normalized)) value = true;
+    else if (['false', 'no', 'off', '0'].includes(normalized)) value = false;
+    else return { valid: false, error: `"${key}" must be true or false, got "${raw}"` };
+  }
+  if (def.type === 'number') {
+    if (!/^-?\d+(\.\d+)?$/.test(String(raw).trim())) {
+      return { valid: false, error: `"${key}" must be a number, got "${raw}"` };
+    }
+    value = Number(raw);
+  }
+  if (def.type === 'object') {
+    try {
+      value = JSON.parse(raw);
+    } catch {
+      return { valid: false, error: `"${key}" must be a JSON object, got "${raw}"` };
+    }
+  }
+  const check = validateValue(key, value);
+  if (!check.valid) return check;
+  return { valid: true, value };
+}
+
+/**
+ * Validate a whole config object
+ * @param {object} config - Parsed config
+ * @returns {object} {valid: bool, errors: string[]}
+ */
+function validateConfig(config) {
+  const errors = [];
+  for (const [key, value] of Object.entries(config || {})) {
+    const check = validateValue(key, value);
+    if (!check.valid) errors.push(check.error);
+  }
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Merge a config object over the schema defaults
+ * @param {object} config - Parsed config
+ * @returns {object} Every schema key with its effective value
+ */
+function resolveConfig(config) {
+  const resolved = {};
+  for (const [key, def] of Object.entries(SCHEMA)) {
+    resolved[key] = config && key in config ? config[key] : def.default;
+  }
+  return resolved;
+}
+
+/**
+ * Keep only schema-valid entries of a layer, recording why the rest were dropped
+ * @param {object} values - Raw layer values
+ * @param {string} source - Where the values came from (for error messages)
+ * @returns {object} {values, errors}
+ */
+function sanitizeLayer(values, source) {
+  const clean = {};
+  const errors = [];
+  for (const [key, value] of Object.entries(values)) {
+    const check = validateValue(key, value);
+    if (check.valid) clean[key] = value;
+    else errors.push(`${source}: ${check.error}`);
+  }
+  return { values: clean, errors };
+}
+
+/**
+ * Load every configuration layer in precedence order (lowest first)
+ * @param {object} options - {cwd, golemHome, env}
+ * @returns {object[]} [{name, source, values, errors}]
+ * @throws {Error} When a config file is not valid JSON
+ */
+function loadLayers({ cwd = process.cwd(), golemHome, env = process.env } = {}) {
+  const defaults = {};
+  for (const [key, def] of Object.entries(SCHEMA)) defaults[key] = def.default;
+
+  const layers = [{ name: 'default', source: 'schema', values: defaults, errors: [] }];
+
+  if (golemHome) {
+    const userPath = getUserConfigPath(golemHome);
+    layers.push({ name: 'user', source: userPath, ...sanitizeLayer(readConfig(userPath), userPath) });
+  }
+
+  const projectPath = getConfigPath(cwd);
+  layers.push({ name: 'project', source: projectPath, ...sanitizeLayer(readConfig(projectPath), projectPath) });
+
+  const envValues = {};
+  const envErrors = [];
+  for (const key of Object.keys(SCHEMA)) {
+    const name = envVarName(key);
+    if (env[name] === undefined || env[name] === '') continue;
+    const parsed = parseValue(key, env[name]);
+    if (parsed.valid) envValues[key] = parsed.value;
+    else envErrors.push(`${name}: ${parsed.error}`);
+  }
+  layers.push({ name: 'env', source: 'environment', values: envValues, errors: envErrors });
+
+  return layers;
+}
+
+/**
+ * Merge layers into effective values, remembering which layer supplied each key
+ * @param {object[]} layers - Output of loadLayers()
+ * @returns {object} {values, sources, errors}
+ */
+function resolveLayers(layers) {
+  const values = {};
+  const sources = {};
+  const errors = [];
+  for (const layer of layers) {
+    for (const [key, value] of Object.entries(layer.values)) {
+      values[key] = value;
+      sources[key] = layer.name;
+    }
+    errors.push(...layer.errors);
+  }
+  return { values, sources, errors };
+}
+
+/**
+ * Explain how a key was resolved
+ * @param {object[]} layers - Output of loadLayers()
+ * @param {string} key - Config key
+ * @returns {object} {key, value, source, layers: [{name, source, set, value}]}
+ */
+function explainKey(layers, key) {
+  const { values, sources } = resolveLayers(layers);
+  return {
+    key,
+    value: values[key],
+    source: sources[key],
+    layers: layers.map(layer => ({
+      name: layer.name,
+      source: layer.name === 'env' ? envVarName(key) : layer.source,
+      set: key in layer.values,
+      value: layer.values[key],
+    })),
+  };
+}
+
+module.exports = {
+  SCHEMA,
+  LAYERS,
+  getConfigPath,
+  getUserConfigPath,
+  envVarName,
+  readConfig,
+  writeConfig,
+  isKnownKey,
+  validateValue,
+  parseValue,
+  validateConfig,
+  resolveConfig,
+  loadLayers,
+  resolveLayers,
+  explainKey,
+};
@@ -0,0 +1,142 @@
+// lib/events.js — Append-only event journal (.golem/events.jsonl)
+//
+// One JSON object per line: {ts, type, actor, sha, ...details}. Lines are only
+// ever appended — golem reset keeps the journal so a feature's progress can be
+// reconstructed after the fact.
+//
+// actor is "agent" when golem runs under one of its own headless claude runs
+// (GOLEM_STATE_LOCK is set), "human" otherwise. CLAUDECODE does not count:
+// every shell Claude Code starts has it, including ones a person types into. "override" events record workflow
+// commands run with --force past a phase gate (see lib/workflow.js).
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { LOCK_ENV } = require('./state.js');
+
+const EVENT_TYPES = ['phase', 'task', 'release', 'reset', 'override'];
+const SINCE_UNITS = { m: 60e3, h: 3600e3, d: 86400e3, w: 7 * 86400e3 };
+
+/**
+ * Path to the journal
+ * @param {string} cwd - Project root
+ * @returns {string}
+ */
+function getEventsPath(cwd) {
+  return path.join(cwd, '.golem', 'events.jsonl');
+}
+
+/**
+ * Who is acting: a headless run golem started, or a person at the CLI
+ * @param {object} env - Environment variables
+ * @returns {string} "agent" or "human"
+ */
+function detectActor(env = process.env) {
+  return env[LOCK_ENV] ? 'agent' : 'human';
+}
+
+/**
+ * Short SHA of HEAD
+ * @param {string} cwd - Repository directory
+ * @returns {string|null} null outside a git repo or before the first commit
+ */
+function gitSha(cwd) {
+  const result = spawnSync('git', ['rev-parse', '--short', 'HEAD'], { cwd, stdio: 'pipe', encoding: 'utf-8' });
+  return result.status === 0 ? result.stdout.trim() : null;
+}
+
+/**
+ * Append an event
+ * @param {string} cwd - Project root
+ * @param {object} event - {type, ...details}
+ * @param {object} [options] - {env, now} overrides
+ * @returns {object} The event as written
+ */
+function appendEvent(cwd, event, { env = process.env, now = new Date().toISOString() } = {}) {
+  const entry = { ts: now, type: event.type, actor: detectActor(env), sha: gitSha(cwd), ...event };
+  const file = getEventsPath(cwd);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+  return entry;
+}
+
+/**
+ * Parse a --since value: an ISO date/time or a relative age ("30m", "12h", "7d", "2w")
+ * @param {string} value - User input
+ * @param {Date} [now] - Reference time for relative values
+ * @returns {Date}
+ * @throws {Error} When the value is neither
+ */
+function parseSince(value, now = new Date()) {
+  const relative = String(value).match(/^(\d+)([mhdw])$/);
+  if (relative) return new Date(now.getTime() - Number(relative[1]) * SINCE_UNITS[relative[2]]);
+  const absolute = Date.parse(value);
+  if (Number.isNaN(absolute)) throw new Error(`Invalid --since value: ${value}`);
+  return new Date(absolute);
+}
+
+/**
+ * Read the journal, oldest first
+ * @param {string} cwd - Project root
+ * @param {object} [filters] - {since: Date, type: string}
+ * @returns {object} {events, skipped} — skipped counts lines that are not valid JSON
+ */
+function readEvents(cwd, { since = null, type = null } = {}) {
+  let content;
+  try {
+    content = fs.readFileSync(getEventsPath(cwd), 'utf-8');
+  } catch {
+    return { events: [], skipped: 0 };
+  }
+  const events = [];
+  let skipped = 0;
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      events.push(JSON.parse(line));
+    } catch {
+      skipped++;
+    }
+  }
+  return {
+    events: events.filter(e => (!type || e.type === type) && (!since || Date.parse(e.ts) >= since.getTime())),
+    skipped,
+  };
+}
+
+/**
+ * One-line summary of an event for golem history
+ * @param {object} event
+ * @returns {string}
+ */
+function describeEvent(event) {
+  const via = event.command ? ` (${event.command})` : '';
+  switch (event.type) {
+    case 'phase':
+      return `${event.from ? `${event.from} → ` : ''}${event.to}${via}`;
+    case 'task':
+      return `${event.task} ${event.from ? `${event.from} → ` : ''}${event.to}${event.reason ? `: ${event.reason}` : ''}`;
+    case 'release':
+      return `${event.version || 'release'}${via}`;
+    case 'reset':
+      return `state reset${event.from ? ` from ${event.from}` : ''}`;
+    case 'override':
+      return `--force ${event.command || ''} in phase ${event.phase || 'unknown'}: ${event.reason}`;
+    default:
+      return Object.entries(event)
+        .filter(([key]) => !['ts', 'type', 'actor', 'sha'].includes(key))
+        .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+        .join(' ');
+  }
+}
+
+module.exports = {
+  EVENT_TYPES,
+  getEventsPath,
+  detectActor,
+  gitSha,
+  appendEvent,
+  parseSince,
+  readEvents,
+  describeEvent,
+};
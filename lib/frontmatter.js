@@ -0,0 +1,252 @@
+// lib/frontmatter.js — YAML frontmatter of command and agent files
+//
+// Parses the subset of YAML that Claude Code frontmatter uses: mappings and
+// sequences nested by indentation, plain, quoted and block (| and >) scalars,
+// flow sequences ([a, b]), comments, and true/false/null/number plain values.
+// Anchors, tags, multi-document streams and flow mappings other than {} are
+// not supported and are reported as errors. Errors carry the line number in
+// the whole file, so golem templates lint can point at them.
+
+const KEY = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s"'#\-?:,[\]{}&*!|>%@`][^:#]*?|-[^\s:#][^:#]*?)\s*:(?:\s+(.*))?$/;
+const BLOCK_SCALAR = /^([|>])([+-]?)\s*(?:#.*)?$/;
+
+/**
+ * Split a markdown file into its frontmatter and body
+ * @param {string} content - File contents
+ * @returns {object} {yaml (null without frontmatter), body, offset} — offset is
+ *   the file line number of the first YAML line, minus one
+ */
+function splitFrontmatter(content) {
+  const match = content.match(/^---[ \t]*\r?\n([\s\S]*?)(?:^|\r?\n)---[ \t]*(?:\r?\n|$)/m);
+  if (!match || match.index !== 0) return { yaml: null, body: content, offset: 0 };
+  return { yaml: match[1], body: content.slice(match[0].length), offset: 1 };
+}
+
+/**
+ * A YAML error with its file line number
+ * @param {string} message
+ * @param {number} line - File line number
+ * @returns {Error} With .line set
+ */
+function yamlError(message, line) {
+  const err = new Error(`line ${line}: ${message}`);
+  err.line = line;
+  return err;
+}
+
+/**
+ * Unquote a double-quoted YAML string
+ * @param {string} text - Including the quotes
+ * @returns {string}
+ */
+function unescapeDouble(text) {
+  const escapes = { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\', '/': '/', 0: '\0' };
+  return text.slice(1, -1).replace(/\\(.)/g, (_, c) => (c in escapes ? escapes[c] : c));
+}
+
+/**
+ * Split a flow sequence's contents on commas outside quotes
+ * @param {string} inner - Text between [ and ]
+ * @returns {string[]}
+ */
+function splitFlow(inner) {
+  const items = [];
+  let current = '';
+  let quote = null;
+  for (const c of inner) {
+    if (quote) {
+      if (c === quote) quote = null;
+      current += c;
+    } else if (c === '"' || c === "'") {
+      quote = c;
+      current += c;
+    } else if (c === ',') {
+      items.push(current.trim());
+      current = '';
+    } else {
+      current += c;
+    }
+  }
+  if (current.trim()) items.push(current.trim());
+  return items;
+}
+
+/**
+ * Value of a scalar written inline
+ * @param {string} raw - Text after "key:" or "- "
+ * @param {number} line - File line number, for errors
+ * @returns {*}
+ */
+function parseScalar(raw, line) {
+  const text = raw.trim();
+  if (text.startsWith('"')) {
+    const match = text.match(/^("(?:[^"\\]|\\.)*")\s*(?:#.*)?$/);
+    if (!match) throw yamlError('unterminated or malformed double-quoted string', line);
+    return unescapeDouble(match[1]);
+  }
+  if (text.startsWith("'")) {
+    const match = text.match(/^'((?:[^']|'')*)'\s*(?:#.*)?$/);
+    if (!match) throw yamlError('unterminated or malformed single-quoted string', line);
+    return match[1].replace(/''/g, "'");
+  }
+  if (text.startsWith('[')) {
+    const match = text.match(/^\[(.*)\]\s*(?:#.*)?$/);
+    if (!match) throw yamlError('unterminated flow sequence', line);
+    if (/[[{]/.test(match[1])) throw yamlError('nested flow collections are not supported', line);
+    return splitFlow(match[1]).map(item => parseScalar(item, line));
+  }
+  if (text.startsWith('{')) {
+    if (/^\{\s*\}\s*(?:#.*)?$/.test(text)) return {};
+    throw yamlError('flow mappings are not supported; use an indented block', line);
+  }
+  if (/^[&*!%@`]/.test(text)) throw yamlError(`unsupported YAML syntax "${text[0]}"`, line);
+  const plain = text.replace(/\s+#.*$/, '');
+  if (/:(\s|$)/.test(plain)) throw yamlError(`"${plain}" contains ": ", which YAML reads as a nested key; quote the value`, line);
+  if (plain === '' || plain === '~' || plain === 'null') return null;
+  if (plain === 'true') return true;
+  if (plain === 'false') return false;
+  if (/^-?(0|[1-9]\d*)(\.\d+)?$/.test(plain)) return Number(plain);
+  return plain;
+}
+
+/**
+ * Parse the YAML of a frontmatter block
+ * @param {string} yaml - Text between the --- lines
+ * @param {number} [offset] - File line number of the line before the first
+ * @returns {object} The top-level mapping ({} when empty)
+ * @throws {Error} With .line, on syntax this parser does not accept
+ */
+function parseYaml(yaml, offset = 0) {
+  const lines = yaml.split(/\r?\n/).map((text, i) => ({
+    line: offset + i + 1,
+    raw: text,
+    indent: text.match(/^ */)[0].length,
+    text: text.trim(),
+  }));
+  for (const l of lines) {
+    if (/^\t/.test(l.raw.slice(l.indent))) throw yamlError('tabs are not allowed for indentation', l.line);
+  }
+  const skip = l => l.text === '' || l.text.startsWith('#');
+  let i = 0;
+  const next = () => {
+    while (i < lines.length && skip(lines[i])) i++;
+    return lines[i];
+  };
+
+  function blockScalar(style, chomp, parentIndent) {
+    const start = i;
+    let end = i;
+    while (end < lines.length && (lines[end].text === '' || lines[end].indent > parentIndent)) end++;
+    const body = lines.slice(start, end);
+    const indent = Math.min(...body.filter(l => l.text !== '').map(l => l.indent));
+    const texts = body.map(l => (l.text === '' ? '' : l.raw.slice(Number.isFinite(indent) ? indent : 0)));
+    i = end;
+    while (texts.length && texts[texts.length - 1] === '' && chomp !== '+') texts.pop();
+    let value = style === '|'
+      ? texts.join('\n')
+      : texts.reduce((acc, t, k) => (k === 0 ? t : acc + (t === '' || texts[k - 1] === '' ? '\n' : ' ') + t), '');
+    if (chomp !== '-' && value !== '') value += '\n';
+    return value;
+  }
+
+  // The value after "key:" or "- " with nothing inline: a nested block, or null
+  function nested(parentIndent, allowSameIndentSequence) {
+    const l = next();
+    if (!l) return null;
+    if (l.indent > parentIndent) return block(l.indent);
+    if (allowSameIndentSequence && l.indent === parentIndent && /^-(\s|$)/.test(l.text)) return sequence(l.indent);
+    return null;
+  }
+
+  function value(rest, parentIndent, line, allowSameIndentSequence) {
+    if (rest === undefined || rest.trim() === '' || rest.trim().startsWith('#')) return nested(parentIndent, allowSameIndentSequence);
+    const scalar = rest.trim().match(BLOCK_SCALAR);
+    if (scalar) {
+      i++;
+      return blockScalar(scalar[1], scalar[2], parentIndent);
+    }
+    i++;
+    return parseScalar(rest, line);
+  }
+
+  function mapping(indent) {
+    const result = {};
+    for (let l = next(); l && l.indent === indent; l = next()) {
+      if (/^-(\s|$)/.test(l.text)) throw yamlError('expected "key: value", found a list item', l.line);
+      const match = l.text.match(KEY);
+      if (!match) throw yamlError(`expected "key: value", got "${l.text}"`, l.line);
+      const key = match[1].startsWith('"') ? unescapeDouble(match[1])
+        : match[1].startsWith("'") ? match[1].slice(1, -1).replace(/''/g, "'") : match[1];
+      if (Object.prototype.hasOwnProperty.call(result, key)) throw yamlError(`duplicate key "${key}"`, l.line);
+      if (match[2] === undefined || match[2].trim() === '' || match[2].trim().startsWith('#')) i++;
+      result[key] = value(match[2], indent, l.line, true);
+    }
+    return result;
+  }
+
+  function sequence(indent) {
+    const result = [];
+    for (let l = next(); l && l.indent === indent && /^-(\s|$)/.test(l.text); l = next()) {
+      const item = l.text.replace(/^-\s*/, '');
+      if (item === '' || item.startsWith('#')) {
+        i++;
+        result.push(nested(indent, false));
+      } else if (KEY.test(item) && !/^["'[{]/.test(item)) {
+        // "- key: value" starts a mapping indented to where its key begins
+        const keyIndent = indent + (l.text.length - item.length);
+        lines[i] = { ...l, indent: keyIndent, text: item };
+        result.push(mapping(keyIndent));
+      } else {
+        result.push(value(item, indent, l.line, false));
+      }
+    }
+    return result;
+  }
+
+  function block(indent) {
+    const l = next();
+    return /^-(\s|$)/.test(l.text) ? sequence(indent) : mapping(indent);
+  }
+
+  const first = next();
+  if (!first) return {};
+  if (first.indent !== 0) throw yamlError('unexpected indentation', first.line);
+  const result = block(0);
+  if (Array.isArray(result)) throw yamlError('frontmatter must be a mapping of keys, not a list', first.line);
+  const rest = next();
+  if (rest) throw yamlError(`unexpected indentation or content "${rest.text}"`, rest.line);
+  return result;
+}
+
+/**
+ * Parse a markdown file's frontmatter
+ * @param {string} content - File contents
+ * @returns {object} {data ({} when absent or invalid), body, present, error (Error|null)}
+ */
+function parseFrontmatter(content) {
+  const { yaml, body, offset } = splitFrontmatter(content);
+  if (yaml === null) return { data: {}, body, present: false, error: null };
+  try {
+    return { data: parseYaml(yaml, offset), body, present: true, error: null };
+  } catch (err) {
+    return { data: {}, body, present: true, error: err };
+  }
+}
+
+/**
+ * A comma- or list-valued tool field as tool names
+ * @param {string|string[]|null} value - allowed-tools or tools
+ * @returns {string[]}
+ */
+function toolList(value) {
+  if (value === null || value === undefined) return [];
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map(t => String(t).trim()).filter(Boolean);
+}
+
+module.exports = {
+  splitFrontmatter,
+  parseYaml,
+  parseFrontmatter,
+  toolList,
+};
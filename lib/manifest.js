@@ -0,0 +1,183 @@
+// lib/manifest.js — Project install manifest (.golem/manifest.json)
+//
+// Records every file golem init creates (hash, kind, golem version) so a later
+// `golem init --update` can tell untouched files from locally edited ones and
+// `golem doctor --project` can report missing or drifted files.
+//
+// Entry kinds:
+//   template   — copied from $GOLEM_HOME/templates (commands, agents, settings, .mcp.json)
+//   generated  — written once by init and expected to be customized (CLAUDE.md, .env.example)
+//   state      — rewritten by golem as it runs; only presence and JSON validity matter
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * SHA-256 of a file's contents
+ * @param {string} filepath - File to hash
+ * @returns {string|null} Hex digest, or null when the file does not exist
+ */
+function hashFile(filepath) {
+  try {
+    return crypto.createHash('sha256').update(fs.readFileSync(filepath)).digest('hex');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Path to the project manifest
+ * @param {string} cwd - Project root
+ * @returns {string}
+ */
+function getManifestPath(cwd) {
+  return path.join(cwd || process.cwd(), '.golem', 'manifest.json');
+}
+
+/**
+ * Read the project manifest
+ * @param {string} cwd - Project root
+ * @returns {object} {version, updated, files} — empty manifest when missing or unreadable
+ */
+function readManifest(cwd) {
+  try {
+    const manifest = JSON.parse(fs.readFileSync(getManifestPath(cwd), 'utf-8'));
+    if (manifest && typeof manifest.files === 'object' && manifest.files !== null) {
+      return manifest;
+    }
+  } catch {
+    // Missing or corrupt — start fresh
+  }
+  return { version: null, updated: null, files: {} };
+}
+
+/**
+ * Write the project manifest
+ * @param {string} cwd - Project root
+ * @param {object} manifest - Manifest to save
+ */
+function writeManifest(cwd, manifest) {
+  const file = getManifestPath(cwd);
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + '\n');
+}
+
+// Project-scope template files and where init installs them
+const TEMPLATE_DIRS = [['commands', '.claude/commands'], ['agents', '.claude/agents']];
+const TEMPLATE_FILES = [
+  ['settings.json', '.claude/settings.json'],
+  ['settings.local.json', '.claude/settings.local.json'],
+  ['mcp.json', '.mcp.json'],
+];
+
+/**
+ * List the templates init installs, with their project-relative destination
+ * @param {string} templatesDir - Templates directory ($GOLEM_HOME/templates)
+ * @returns {object[]} [{src, rel}]
+ */
+function templateTargets(templatesDir) {
+  const targets = [];
+  for (const [dir, destDir] of TEMPLATE_DIRS) {
+    const srcDir = path.join(templatesDir, dir);
+    if (!fs.existsSync(srcDir)) continue;
+    for (const file of fs.readdirSync(srcDir).sort()) {
+      // Skip installer leftovers (.new / .pre-golem) and anything that isn't a plain file
+      if (file.endsWith('.new') || file.endsWith('.pre-golem')) continue;
+      if (!fs.lstatSync(path.join(srcDir, file)).isFile()) continue;
+      targets.push({ src: path.join(srcDir, file), rel: `${destDir}/${file}` });
+    }
+  }
+  for (const [file, rel] of TEMPLATE_FILES) {
+    if (fs.existsSync(path.join(templatesDir, file))) {
+      targets.push({ src: path.join(templatesDir, file), rel });
+    }
+  }
+  return targets;
+}
+
+/**
+ * Three-way decision for refreshing a template
+ * @param {string|null} baseHash - Hash recorded when golem installed the file
+ * @param {string|null} localHash - Hash of the file on disk now
+ * @param {string} upstreamHash - Hash of the current template
+ * @returns {string} 'install' | 'unchanged' | 'update' | 'conflict'
+ */
+function decideUpdateAction(baseHash, localHash, upstreamHash) {
+  if (!localHash) return 'install';
+  if (localHash === upstreamHash) return 'unchanged';
+  if (baseHash && localHash === baseHash) return 'update';
+  return 'conflict';
+}
+
+/**
+ * Check a project against its manifest
+ * @param {string} cwd - Project root
+ * @param {object} options - {templatesDir, version} — current templates and golem version
+ * @returns {object[]} Doctor checks: [{name, ok, detail, optional?}]
+ */
+function verifyProject(cwd, { templatesDir = null, version = null } = {}) {
+  const checks = [];
+  const golemDir = path.join(cwd, '.golem');
+  if (!fs.existsSync(golemDir)) {
+    checks.push({ name: 'Golem project', ok: false, detail: 'not initialized — run: golem init' });
+    return checks;
+  }
+
+  if (!fs.existsSync(getManifestPath(cwd))) {
+    checks.push({ name: '.golem/manifest.json', ok: false, detail: 'missing — run: golem init --update' });
+  }
+  const manifest = readManifest(cwd);
+  if (manifest.version && version && manifest.version !== version) {
+    checks.push({ name: 'Manifest version', ok: false, optional: true, detail: `initialized with v${manifest.version}, golem is v${version}` });
+  }
+
+  const upstream = {};
+  if (templatesDir && fs.existsSync(templatesDir)) {
+    for (const { src, rel } of templateTargets(templatesDir)) upstream[rel] = hashFile(src);
+  }
+
+  for (const [rel, entry] of Object.entries(manifest.files)) {
+    const file = path.join(cwd, rel);
+    const localHash = hashFile(file);
+    if (!localHash) {
+      const fix = entry.kind === 'template' ? 'golem init --update' : 'golem init';
+      checks.push({ name: rel, ok: false, optional: rel === '.env.example', detail: `missing — run: ${fix}` });
+      continue;
+    }
+
+    if (entry.kind === 'state') {
+      let valid = true;
+      try { JSON.parse(fs.readFileSync(file, 'utf-8')); } catch { valid = false; }
+      checks.push({ name: rel, ok: valid, detail: valid ? 'found' : 'corrupted (invalid JSON)' });
+    } else if (localHash !== entry.hash) {
+      // Generated files are meant to be edited; templates drifting from what golem installed is worth a look
+      const customized = entry.kind !== 'template';
+      checks.push({ name: rel, ok: customized, optional: true, detail: 'modified since init' });
+    } else if (upstream[rel] && upstream[rel] !== entry.hash) {
+      checks.push({ name: rel, ok: false, optional: true, detail: 'update available — run: golem init --update' });
+    } else {
+      checks.push({ name: rel, ok: true, detail: 'up to date' });
+    }
+  }
+
+  for (const rel of Object.keys(upstream)) {
+    if (!manifest.files[rel] && !fs.existsSync(path.join(cwd, rel))) {
+      checks.push({ name: rel, ok: false, optional: true, detail: 'new template not installed — run: golem init --update' });
+    }
+  }
+
+  return checks;
+}
+
+module.exports = {
+  TEMPLATE_DIRS,
+  TEMPLATE_FILES,
+  templateTargets,
+  verifyProject,
+  hashFile,
+  getManifestPath,
+  readManifest,
+  writeManifest,
+  decideUpdateAction,
+};
@@ -0,0 +1,459 @@
+// lib/mcp.js — MCP server config (~/.mcp.json, .mcp.json) validation and editing
+//
+// Golem's MCP templates use "// ..." keys as comments, ${VAR} placeholders
+// that Claude expands from the environment, and @^x.y.z package ranges.
+// Edits go through the parsed object, so comment keys survive a rewrite.
+
+const fs = require('fs');
+const path = require('path');
+
+// Path the filesystem server template ships with; must be replaced before use
+const TEMPLATE_DOCS_PATH = '/path/to/your/shared/docs';
+
+const SERVER_NAME_RE = /^[A-Za-z0-9_-]+$/;
+const PLACEHOLDER_RE = /\$\{([A-Za-z_][A-Za-z0-9_]*)(:-[^}]*)?\}/g;
+const CARET_RANGE_RE = /@\^\d[\w.-]*$/;
+const CARET_SPEC_RE = /^((?:@[\w.-]+\/)?[\w.-]+)@\^(\d+)\.(\d+)\.(\d+)$/;
+
+// MCP servers golem can add for the databases detectDatabases() reports. Oracle,
+// SQL Server and IBM i have only skill docs (skills/databases/), no server
+// template; golem mcp add --detected and golem mcp pin say they were skipped.
+const DB_SERVERS = {
+  postgres: {
+    '// PostgreSQL access — use a READ-ONLY database user for safety': '',
+    '// See: skills/databases/postgres.md for connection setup': '',
+    command: 'npx',
+    args: ['-y', '@modelcontextprotocol/server-postgres@^0.6.2'],
+    env: { POSTGRES_CONNECTION_STRING: '${DATABASE_URL}' },
+  },
+};
+
+/**
+ * Check whether a key is a golem template comment ("// ...")
+ * @param {string} key - Object key
+ * @returns {boolean}
+ */
+function isCommentKey(key) {
+  return key.startsWith('//');
+}
+
+/**
+ * Check a server name (letters, digits, "-" and "_")
+ * @param {string} name - Server name
+ * @returns {boolean}
+ */
+function isValidServerName(name) {
+  return SERVER_NAME_RE.test(name);
+}
+
+/**
+ * MCP files Claude reads
+ * @param {object} options - {home, cwd}
+ * @returns {object[]} [{scope, label, file}] — the project file is skipped when cwd is home
+ */
+function mcpFiles({ home, cwd }) {
+  const files = [{ scope: 'user', label: '~/.mcp.json', file: path.join(home, '.mcp.json') }];
+  if (path.resolve(cwd) !== path.resolve(home)) {
+    files.push({ scope: 'project', label: '.mcp.json', file: path.join(cwd, '.mcp.json') });
+  }
+  return files;
+}
+
+/**
+ * Read an MCP config file
+ * @param {string} filePath - Path to .mcp.json
+ * @returns {object|null} Parsed config, or null when the file does not exist
+ * @throws {Error} When the file is not a JSON object
+ */
+function readMcpConfig(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch {
+    throw new Error(`${filePath} is not valid JSON`);
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`${filePath} must contain a JSON object`);
+  }
+  return config;
+}
+
+/**
+ * Write an MCP config file (2-space JSON, trailing newline)
+ * @param {string} filePath - Path to .mcp.json
+ * @param {object} config - MCP config
+ */
+function writeMcpConfig(filePath, config) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(config, null, 2) + '\n');
+}
+
+/**
+ * Servers in a config, without comment keys
+ * @param {object} config - Parsed MCP config
+ * @returns {object[]} [{name, server}]
+ */
+function listServers(config) {
+  const servers = (config && config.mcpServers) || {};
+  if (typeof servers !== 'object' || Array.isArray(servers)) return [];
+  return Object.entries(servers)
+    .filter(([name]) => !isCommentKey(name))
+    .map(([name, server]) => ({ name, server }));
+}
+
+/**
+ * Structural problems in an MCP config
+ * @param {object} config - Parsed MCP config
+ * @returns {string[]} Error messages (empty when valid)
+ */
+function validateStructure(config) {
+  const errors = [];
+  const servers = config.mcpServers;
+  if (servers === undefined) return ['missing "mcpServers"'];
+  if (!servers || typeof servers !== 'object' || Array.isArray(servers)) return ['"mcpServers" must be an object'];
+
+  for (const { name, server } of listServers(config)) {
+    if (!isValidServerName(name)) {
+      errors.push(`"${name}": server names may only contain letters, digits, "-" and "_"`);
+    }
+    if (!server || typeof server !== 'object' || Array.isArray(server)) {
+      errors.push(`"${name}": must be an object`);
+      continue;
+    }
+    if (server.type === 'http' || server.type === 'sse') {
+      if (typeof server.url !== 'string' || !server.url) errors.push(`"${name}": "url" is required for ${server.type} servers`);
+    } else if (typeof server.command !== 'string' || !server.command.trim()) {
+      errors.push(`"${name}": "command" must be a non-empty string`);
+    }
+    if (server.args !== undefined && (!Array.isArray(server.args) || server.args.some(a => typeof a !== 'string'))) {
+      errors.push(`"${name}": "args" must be an array of strings`);
+    }
+    if (server.env !== undefined) {
+      const env = server.env;
+      if (!env || typeof env !== 'object' || Array.isArray(env)
+        || Object.entries(env).some(([k, v]) => !isCommentKey(k) && typeof v !== 'string')) {
+        errors.push(`"${name}": "env" must map names to strings`);
+      }
+    }
+    if (server.disabled !== undefined && typeof server.disabled !== 'boolean') {
+      errors.push(`"${name}": "disabled" must be true or false`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Every string Claude expands for a server (command, args, env values, url)
+ * @param {object} server - Server definition
+ * @returns {string[]}
+ */
+function serverStrings(server) {
+  const strings = [];
+  if (typeof server.command === 'string') strings.push(server.command);
+  if (typeof server.url === 'string') strings.push(server.url);
+  if (Array.isArray(server.args)) strings.push(...server.args.filter(a => typeof a === 'string'));
+  if (server.env && typeof server.env === 'object') {
+    for (const [key, value] of Object.entries(server.env)) {
+      if (!isCommentKey(key) && typeof value === 'string') strings.push(value);
+    }
+  }
+  return strings;
+}
+
+/**
+ * ${VAR} placeholders of enabled servers whose variable is not set
+ * Placeholders with a default (${VAR:-fallback}) are never reported.
+ * @param {object} config - Parsed MCP config
+ * @param {object} env - Environment to check against
+ * @returns {object[]} [{server, variables}] — names only, never values
+ */
+function findUndefinedPlaceholders(config, env) {
+  const results = [];
+  for (const { name, server } of listServers(config)) {
+    if (!server || typeof server !== 'object' || server.disabled === true) continue;
+    const missing = new Set();
+    for (const str of serverStrings(server)) {
+      for (const [, variable, fallback] of str.matchAll(PLACEHOLDER_RE)) {
+        if (!fallback && (env[variable] === undefined || env[variable] === '')) missing.add(variable);
+      }
+    }
+    if (missing.size) results.push({ server: name, variables: [...missing] });
+  }
+  return results;
+}
+
+/**
+ * Packages launched with a caret range (pkg@^1.2.3) instead of an exact version
+ * @param {object} config - Parsed MCP config
+ * @returns {object[]} [{server, spec}]
+ */
+function findUnpinned(config) {
+  const results = [];
+  for (const { name, server } of listServers(config)) {
+    if (!server || !Array.isArray(server.args)) continue;
+    for (const arg of server.args) {
+      if (typeof arg === 'string' && CARET_RANGE_RE.test(arg)) results.push({ server: name, spec: arg });
+    }
+  }
+  return results;
+}
+
+/**
+ * Servers still pointing at the template docs path
+ * @param {object} config - Parsed MCP config
+ * @returns {object[]} [{server, disabled}]
+ */
+function findTemplatePaths(config) {
+  return listServers(config)
+    .filter(({ server }) => server && typeof server === 'object' && serverStrings(server).some(s => s.includes(TEMPLATE_DOCS_PATH)))
+    .map(({ name, server }) => ({ server: name, disabled: server.disabled === true }));
+}
+
+/**
+ * Parse a caret package spec (pkg@^1.2.3)
+ * @param {string} spec - Package spec from a server's args
+ * @returns {object|null} {name, base: [major, minor, patch]}, or null when not a caret range
+ */
+function parseCaretSpec(spec) {
+  const match = spec.match(CARET_SPEC_RE);
+  return match ? { name: match[1], base: [Number(match[2]), Number(match[3]), Number(match[4])] } : null;
+}
+
+/**
+ * Parse an exact release version (prereleases are never pinned)
+ * @param {string} version - e.g. "1.2.3"
+ * @returns {number[]|null} [major, minor, patch]
+ */
+function parseVersion(version) {
+  const match = /^(\d+)\.(\d+)\.(\d+)$/.exec(String(version));
+  return match ? [Number(match[1]), Number(match[2]), Number(match[3])] : null;
+}
+
+/**
+ * Compare two [major, minor, patch] tuples
+ * @returns {number} Negative, zero or positive
+ */
+function compareVersions(a, b) {
+  return a[0] - b[0] || a[1] - b[1] || a[2] - b[2];
+}
+
+/**
+ * npm caret semantics: ^1.2.3 := >=1.2.3 <2.0.0, ^0.6.2 := >=0.6.2 <0.7.0, ^0.0.3 := 0.0.3
+ * @param {number[]} version - Candidate version
+ * @param {number[]} base - Range base
+ * @returns {boolean}
+ */
+function satisfiesCaret(version, base) {
+  if (compareVersions(version, base) < 0) return false;
+  if (base[0] > 0) return version[0] === base[0];
+  if (base[1] > 0) return version[0] === 0 && version[1] === base[1];
+  return compareVersions(version, base) === 0;
+}
+
+/**
+ * Package versions whose tarballs are in the npm cache
+ *
+ * Index lines reference .../<name>/-/<basename>-<version>.tgz. A real cache
+ * holds tens of thousands of index files, so callers checking several
+ * packages read it once and pass the result to findLocalVersions().
+ * @param {string} npmCache - npm cache directory
+ * @returns {Map<string, string[]>} Package name → versions
+ */
+function readCacheIndex(npmCache) {
+  const versions = new Map();
+  const tarball = /\/((?:@[\w.-]+\/)?([\w.-]+))\/-\/([\w.-]+?)-(\d+\.\d+\.\d+)\.tgz/g;
+  const walk = (dir) => {
+    let entries;
+    try { entries = fs.readdirSync(dir, { withFileTypes: true }); } catch { return; }
+    for (const entry of entries) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) { walk(full); continue; }
+      let content;
+      try { content = fs.readFileSync(full, 'utf-8'); } catch { continue; }
+      for (const [, name, basename, file, version] of content.matchAll(tarball)) {
+        if (file !== basename) continue;
+        if (!versions.has(name)) versions.set(name, []);
+        versions.get(name).push(version);
+      }
+    }
+  };
+  walk(path.join(npmCache, '_cacache', 'index-v5'));
+  return versions;
+}
+
+/**
+ * Versions of a package available locally — lockfiles in cwd, the npx cache and the npm cache index
+ * @param {string} name - Package name
+ * @param {object} options - {cwd, npmCache, cacheIndex} — cacheIndex from readCacheIndex(), read here when absent
+ * @returns {object[]} [{version, source}]
+ */
+function findLocalVersions(name, options) {
+  const { cwd, npmCache } = options;
+  const found = [];
+  const add = (version, source) => { if (parseVersion(version)) found.push({ version, source }); };
+
+  // package-lock.json (v2/v3 "packages" and v1 "dependencies")
+  try {
+    const lock = JSON.parse(fs.readFileSync(path.join(cwd, 'package-lock.json'), 'utf-8'));
+    for (const [key, entry] of Object.entries(lock.packages || {})) {
+      if (key === `node_modules/${name}` || key.endsWith(`/node_modules/${name}`)) add(entry.version, 'package-lock.json');
+    }
+    if (lock.dependencies && lock.dependencies[name]) add(lock.dependencies[name].version, 'package-lock.json');
+  } catch {}
+
+  // pnpm-lock.yaml — package keys look like "/pkg@1.2.3" or "pkg@1.2.3"
+  try {
+    const pnpmLock = fs.readFileSync(path.join(cwd, 'pnpm-lock.yaml'), 'utf-8');
+    const escaped = name.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    for (const match of pnpmLock.matchAll(new RegExp(`['/\\s]${escaped}@(\\d+\\.\\d+\\.\\d+)['(:\\s]`, 'g'))) {
+      add(match[1], 'pnpm-lock.yaml');
+    }
+  } catch {}
+
+  if (!npmCache) return found;
+
+  // npx installs each package it runs under _npx/<hash>/node_modules
+  const npxDir = path.join(npmCache, '_npx');
+  try {
+    for (const hash of fs.readdirSync(npxDir)) {
+      try {
+        const pkg = JSON.parse(fs.readFileSync(path.join(npxDir, hash, 'node_modules', name, 'package.json'), 'utf-8'));
+        add(pkg.version, 'npx cache');
+      } catch {}
+    }
+  } catch {}
+
+  // Tarballs fetched into the npm cache
+  const cacheIndex = options.cacheIndex || readCacheIndex(npmCache);
+  for (const version of cacheIndex.get(name) || []) add(version, 'npm cache');
+
+  return found;
+}
+
+/**
+ * Resolve a caret spec to the highest matching local version
+ * @param {string} spec - e.g. "@upstash/context7-mcp@^2.1.1"
+ * @param {object} options - {cwd, npmCache, cacheIndex}
+ * @returns {object|null} {name, version, source}, or null when nothing local satisfies the range
+ */
+function resolvePin(spec, options) {
+  const parsed = parseCaretSpec(spec);
+  if (!parsed) return null;
+  let best = null;
+  for (const candidate of findLocalVersions(parsed.name, options)) {
+    const version = parseVersion(candidate.version);
+    if (!satisfiesCaret(version, parsed.base)) continue;
+    if (!best || compareVersions(version, parseVersion(best.version)) > 0) best = candidate;
+  }
+  return best ? { name: parsed.name, version: best.version, source: best.source } : null;
+}
+
+/**
+ * Replace caret ranges in server args with exact local versions
+ * @param {object} config - MCP config (modified in place)
+ * @param {object} options - {cwd, npmCache, only} — only limits pinning to one server name
+ * @returns {object[]} [{server, from, to, source}] — to is null when no local version matched
+ */
+function pinServers(config, { cwd, npmCache, only = null }) {
+  const results = [];
+  // The npm cache index is read at most once, however many specs there are
+  let cacheIndex = null;
+  for (const { name, server } of listServers(config)) {
+    if (only && name !== only) continue;
+    if (!server || !Array.isArray(server.args)) continue;
+    server.args = server.args.map(arg => {
+      if (typeof arg !== 'string' || !parseCaretSpec(arg)) return arg;
+      if (npmCache && !cacheIndex) cacheIndex = readCacheIndex(npmCache);
+      const pin = resolvePin(arg, { cwd, npmCache, cacheIndex });
+      results.push({ server: name, from: arg, to: pin ? `${pin.name}@${pin.version}` : null, source: pin ? pin.source : null });
+      return pin ? `${pin.name}@${pin.version}` : arg;
+    });
+  }
+  return results;
+}
+
+/**
+ * Doctor checks for every MCP file
+ * @param {object} options - {home, cwd, env, strict} — strict adds the unpinned-range warning
+ * @returns {object[]} [{name, ok, detail, optional?}]
+ */
+function verifyMcp({ home, cwd = process.cwd(), env = process.env, strict = false }) {
+  const checks = [];
+  for (const { scope, label, file } of mcpFiles({ home, cwd })) {
+    let config;
+    try {
+      config = readMcpConfig(file);
+    } catch (err) {
+      checks.push({ name: label, ok: false, detail: err.message.includes('valid JSON') ? 'invalid JSON' : 'not a JSON object' });
+      continue;
+    }
+    if (!config) {
+      if (scope === 'user') checks.push({ name: label, ok: false, detail: 'missing', optional: true });
+      continue;
+    }
+
+    const errors = validateStructure(config);
+    const servers = listServers(config);
+    const disabled = servers.filter(s => s.server && s.server.disabled === true).length;
+    checks.push({
+      name: label,
+      ok: errors.length === 0,
+      detail: errors.length ? errors.join('; ') : `${servers.length} server(s)${disabled ? `, ${disabled} disabled` : ''}`,
+    });
+    if (errors.length) continue;
+
+    const undefinedVars = findUndefinedPlaceholders(config, env);
+    checks.push({
+      name: `${label} env vars`,
+      ok: undefinedVars.length === 0,
+      optional: true,
+      detail: undefinedVars.length
+        ? `not set: ${undefinedVars.map(u => `${u.variables.join(', ')} (${u.server})`).join('; ')}`
+        : 'all placeholders set',
+    });
+
+    const templatePaths = findTemplatePaths(config);
+    if (templatePaths.length) {
+      checks.push({
+        name: `${label} template paths`,
+        ok: false,
+        optional: true,
+        detail: `${templatePaths.map(t => `${t.server}${t.disabled ? ' (disabled)' : ''}`).join(', ')} still use ${TEMPLATE_DOCS_PATH}`,
+      });
+    }
+
+    if (strict) {
+      const unpinned = findUnpinned(config);
+      checks.push({
+        name: `${label} pinning`,
+        ok: unpinned.length === 0,
+        optional: true,
+        detail: unpinned.length ? `unpinned: ${unpinned.map(u => u.spec).join(', ')}` : 'all packages pinned',
+      });
+    }
+  }
+  return checks;
+}
+
+module.exports = {
+  TEMPLATE_DOCS_PATH,
+  DB_SERVERS,
+  isCommentKey,
+  isValidServerName,
+  mcpFiles,
+  readMcpConfig,
+  writeMcpConfig,
+  listServers,
+  validateStructure,
+  findUndefinedPlaceholders,
+  findUnpinned,
+  findTemplatePaths,
+  parseCaretSpec,
+  satisfiesCaret,
+  readCacheIndex,
+  findLocalVersions,
+  resolvePin,
+  pinServers,
+  verifyMcp,
+};
@@ -0,0 +1,465 @@
+// lib/plan.js — Parser and validator for .golem/plans/current.md
+//
+// The format is defined by golem-plan.md:
+//
+//   ### TASK-001: Title
+//   - **Status**: pending
+//   - **Depends on**: none | TASK-001, TASK-002
+//   - **Files**:
+//     - CREATE `path` — purpose
+//   - **Tests**:
+//     - CREATE `path.test.ts`
+//   - **Acceptance Criteria**: AC-01, AC-02
+//
+// Task statuses match state.json: pending, in_progress, completed, blocked.
+// `golem tasks` rewrites a task's Status line and mirrors the plan into
+// state.json (tasks, tasks_total, tasks_completed) in one update, then records
+// the change in the event journal. Blocking a task moves the phase to
+// "blocked" (and back to "building" once nothing is blocked) only where
+// lib/workflow.js allows that transition; otherwise the phase stays put.
+
+const fs = require('fs');
+const path = require('path');
+const stateLib = require('./state.js');
+const events = require('./events.js');
+const { canTransition } = require('./workflow.js');
+
+const STATUSES = stateLib.TASK_STATUSES;
+const FILE_ACTIONS = ['CREATE', 'MODIFY', 'DELETE'];
+const MIN_TASKS = 3;
+const MAX_TASKS = 15;
+
+const TASK_HEADING_RE = /^###\s+(TASK-\d+)\s*:\s*(.*?)\s*$/;
+const SECTION_HEADING_RE = /^#{1,3}\s/;
+const FIELD_RE = /^-\s+\*\*(.+?)\*\*\s*:?\s*(.*?)\s*$/;
+const ITEM_RE = /^\s{2,}[-*]\s+(.*?)\s*$/;
+const FILE_ITEM_RE = /^(\w+)\s+`?([^`\s]+)`?\s*(?:[—–-]+\s*(.*))?$/;
+
+/**
+ * Path to the current plan
+ * @param {string} cwd - Project root
+ * @returns {string}
+ */
+function getPlanPath(cwd) {
+  return path.join(cwd || process.cwd(), '.golem', 'plans', 'current.md');
+}
+
+/**
+ * Parse plan markdown into tasks
+ * @param {string} markdown - Contents of plans/current.md
+ * @returns {object} {spec, tasks: [{id, title, line, status, statusLine, dependsOn, files, tests, acceptanceCriteria, edgeCases}], errors}
+ */
+function parsePlan(markdown) {
+  const lines = String(markdown).split('\n');
+  const tasks = [];
+  const errors = [];
+  let spec = null;
+  let task = null;
+  let field = null;
+
+  lines.forEach((line, index) => {
+    const heading = line.match(TASK_HEADING_RE);
+    if (heading) {
+      task = {
+        id: heading[1],
+        title: heading[2],
+        line: index + 1,
+        status: 'pending',
+        statusLine: null,
+        dependsOn: [],
+        files: [],
+        tests: [],
+        acceptanceCriteria: [],
+        edgeCases: [],
+      };
+      tasks.push(task);
+      field = null;
+      return;
+    }
+    if (SECTION_HEADING_RE.test(line)) {
+      task = null;
+      field = null;
+      return;
+    }
+
+    if (!task) {
+      const specMatch = line.match(/^Spec:\s*(\S.*?)\s*$/);
+      if (specMatch && !spec) spec = specMatch[1];
+      return;
+    }
+
+    const fieldMatch = line.match(FIELD_RE);
+    if (fieldMatch) {
+      field = fieldMatch[1].toLowerCase();
+      const value = fieldMatch[2];
+      if (field === 'status') {
+        task.statusLine = index + 1;
+        const status = stateLib.normalizeTaskStatus(value);
+        if (status) task.status = status;
+        else errors.push({ type: 'invalid-status', task: task.id, message: `${task.id}: unknown status "${value}" (expected ${STATUSES.join(', ')})` });
+      } else if (field === 'depends on') {
+        task.dependsOn = value.match(/TASK-\d+/g) || [];
+      } else if (field === 'tests' && value && !/^none$/i.test(value)) {
+        task.tests.push(value);
+      } else if (field === 'acceptance criteria') {
+        task.acceptanceCriteria = value.match(/AC-\d+/g) || [];
+      } else if (field === 'edge cases to cover') {
+        task.edgeCases = value.match(/EC-\d+/g) || [];
+      }
+      return;
+    }
+
+    const item = line.match(ITEM_RE);
+    if (!item || !field) return;
+    if (field === 'files') {
+      const file = item[1].match(FILE_ITEM_RE);
+      if (file && FILE_ACTIONS.includes(file[1])) {
+        task.files.push({ action: file[1], path: file[2], note: file[3] || '' });
+      } else {
+        errors.push({ type: 'invalid-file', task: task.id, message: `${task.id}: file entry must start with ${FILE_ACTIONS.join('/')}: "${item[1]}"` });
+      }
+    } else if (field === 'tests') {
+      task.tests.push(item[1]);
+    } else if (field === 'depends on') {
+      task.dependsOn.push(...(item[1].match(/TASK-\d+/g) || []));
+    } else if (field === 'acceptance criteria') {
+      task.acceptanceCriteria.push(...(item[1].match(/AC-\d+/g) || []));
+    }
+  });
+
+  return { spec, tasks, errors };
+}
+
+/**
+ * Read and parse a plan file
+ * @param {string} filePath - Path to the plan
+ * @returns {object|null} Output of parsePlan(), or null when the file does not exist
+ */
+function readPlan(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  return parsePlan(fs.readFileSync(filePath, 'utf-8'));
+}
+
+/**
+ * Acceptance criteria IDs defined in a spec ("AC-01: GIVEN ...")
+ * @param {string} markdown - Spec contents
+ * @returns {string[]} Unique AC IDs in order of appearance
+ */
+function parseSpecCriteria(markdown) {
+  const ids = [];
+  for (const match of String(markdown).matchAll(/^\s*(?:[-*]\s+)?\**(AC-\d+)\**\s*:/gm)) {
+    if (!ids.includes(match[1])) ids.push(match[1]);
+  }
+  return ids;
+}
+
+/**
+ * Locate the spec a plan was generated from
+ * @param {string} cwd - Project root
+ * @param {string|null} preferred - Spec filename named in the plan header
+ * @returns {string|null} Path to the spec, or null when none exists
+ */
+function findSpec(cwd, preferred = null) {
+  const specsDir = path.join(cwd, '.golem', 'specs');
+  if (preferred && /^[\w.-]+$/.test(preferred) && fs.existsSync(path.join(specsDir, preferred))) {
+    return path.join(specsDir, preferred);
+  }
+  if (!fs.existsSync(specsDir)) return null;
+  // spec-YYYYMMDD-HHMMSS names sort chronologically
+  const specs = fs.readdirSync(specsDir).filter(f => f.endsWith('.md')).sort();
+  return specs.length ? path.join(specsDir, specs[specs.length - 1]) : null;
+}
+
+/**
+ * Find dependency cycles
+ * @param {object[]} tasks - Parsed tasks
+ * @returns {string[][]} Each cycle as a list of task IDs, first ID repeated at the end
+ */
+function findCycles(tasks) {
+  const byId = new Map(tasks.map(t => [t.id, t]));
+  const state = new Map(); // id → 'visiting' | 'done'
+  const cycles = [];
+
+  const visit = (id, trail) => {
+    if (state.get(id) === 'done') return;
+    if (state.get(id) === 'visiting') {
+      cycles.push([...trail.slice(trail.indexOf(id)), id]);
+      return;
+    }
+    state.set(id, 'visiting');
+    for (const dep of byId.get(id).dependsOn) {
+      if (byId.has(dep)) visit(dep, [...trail, id]);
+    }
+    state.set(id, 'done');
+  };
+
+  for (const task of tasks) visit(task.id, []);
+  return cycles;
+}
+
+/**
+ * Validate a parsed plan against the planning rules
+ * @param {object} plan - Output of parsePlan()
+ * @param {object} [options] - {specCriteria} — AC IDs from the spec; omit to skip coverage
+ * @returns {object} {valid, issues: [{type, message, task?}]}
+ */
+function validatePlan(plan, { specCriteria = null } = {}) {
+  const issues = [...plan.errors];
+  const ids = new Set();
+
+  for (const task of plan.tasks) {
+    if (ids.has(task.id)) {
+      issues.push({ type: 'duplicate-task', task: task.id, message: `${task.id} is defined more than once` });
+    }
+    ids.add(task.id);
+  }
+
+  for (const task of plan.tasks) {
+    for (const dep of task.dependsOn) {
+      if (!ids.has(dep)) {
+        issues.push({ type: 'unknown-dependency', task: task.id, message: `${task.id} depends on unknown task ${dep}` });
+      }
+    }
+    if (task.tests.length === 0) {
+      issues.push({ type: 'missing-tests', task: task.id, message: `${task.id} has no tests` });
+    }
+  }
+
+  for (const cycle of findCycles(plan.tasks)) {
+    issues.push({ type: 'dependency-cycle', task: cycle[0], message: `Dependency cycle: ${cycle.join(' → ')}` });
+  }
+
+  const count = plan.tasks.length;
+  if (count < MIN_TASKS || count > MAX_TASKS) {
+    issues.push({
+      type: 'task-count',
+      message: `Plan has ${count} task(s); plans should have ${MIN_TASKS}-${MAX_TASKS}${count > MAX_TASKS ? ' — split the spec' : ''}`,
+    });
+  }
+
+  if (specCriteria) {
+    const covered = new Set(plan.tasks.flatMap(t => t.acceptanceCriteria));
+    for (const ac of specCriteria) {
+      if (!covered.has(ac)) {
+        issues.push({ type: 'uncovered-criterion', message: `${ac} from the spec is not covered by any task` });
+      }
+    }
+  }
+
+  return { valid: issues.length === 0, issues };
+}
+
+/**
+ * First pending task whose dependencies are all completed
+ * @param {object[]} tasks - Parsed tasks
+ * @returns {object|null}
+ */
+function nextTask(tasks) {
+  const completed = new Set(tasks.filter(t => t.status === 'completed').map(t => t.id));
+  return tasks.find(t => t.status === 'pending' && t.dependsOn.every(dep => completed.has(dep))) || null;
+}
+
+/**
+ * Tasks that can be built side by side right now
+ *
+ * Pending tasks whose dependencies are all completed cannot depend on each
+ * other; of those, a task is left out when it touches a file an earlier pick
+ * does, so the branches merge cleanly.
+ * @param {object[]} tasks - Parsed tasks
+ * @param {number} limit - Most tasks to pick
+ * @returns {object[]} Tasks in plan order
+ */
+function parallelBatch(tasks, limit) {
+  const completed = new Set(tasks.filter(t => t.status === 'completed').map(t => t.id));
+  const claimed = new Set();
+  const batch = [];
+  for (const task of tasks) {
+    if (batch.length >= limit) break;
+    if (task.status !== 'pending' || !task.dependsOn.every(dep => completed.has(dep))) continue;
+    if (task.files.some(file => claimed.has(file.path))) continue;
+    task.files.forEach(file => claimed.add(file.path));
+    batch.push(task);
+  }
+  return batch;
+}
+
+/**
+ * Longest chain of dependent tasks that are not yet completed
+ * @param {object[]} tasks - Parsed tasks
+ * @returns {string[]} Task IDs in the order they must run
+ */
+function criticalPath(tasks) {
+  const remaining = new Map(tasks.filter(t => t.status !== 'completed').map(t => [t.id, t]));
+  const memo = new Map(); // id → {length, via}
+
+  const longest = (id, visiting = new Set()) => {
+    if (memo.has(id)) return memo.get(id);
+    if (visiting.has(id)) return { length: 0, via: null }; // cycles are reported by validatePlan
+    visiting.add(id);
+    let best = { length: 1, via: null };
+    for (const dep of remaining.get(id).dependsOn) {
+      if (!remaining.has(dep)) continue;
+      const candidate = longest(dep, visiting);
+      if (candidate.length + 1 > best.length) best = { length: candidate.length + 1, via: dep };
+    }
+    visiting.delete(id);
+    memo.set(id, best);
+    return best;
+  };
+
+  let end = null;
+  for (const id of remaining.keys()) {
+    if (!end || longest(id).length > longest(end).length) end = id;
+  }
+  const chain = [];
+  for (let id = end; id && !chain.includes(id); id = longest(id).via) chain.unshift(id);
+  return chain;
+}
+
+/**
+ * Tasks a scoped build runs
+ *
+ * --task runs one task, and only once every task it depends on is completed.
+ * --until runs a task plus whatever it depends on, directly or not, that is
+ * not completed yet.
+ * @param {object[]} tasks - Parsed tasks
+ * @param {object} scope - {task} or {until}: a task ID
+ * @returns {string[]} Task IDs in plan order
+ * @throws {Error} When the task is unknown, already completed, or waiting on others (--task)
+ */
+function buildScope(tasks, { task = null, until = null } = {}) {
+  if (task && until) throw new Error('Pass either --task or --until, not both');
+  const id = task || until;
+  const byId = new Map(tasks.map(t => [t.id, t]));
+  const target = byId.get(id);
+  if (!target) throw new Error(`${id} is not in the plan`);
+  if (target.status === 'completed') throw new Error(`${id} is already completed`);
+
+  if (task) {
+    const waiting = target.dependsOn.filter(dep => !byId.has(dep) || byId.get(dep).status !== 'completed');
+    if (waiting.length) {
+      throw new Error(`${id} depends on ${waiting.join(', ')}, which ${waiting.length === 1 ? 'is' : 'are'} not completed`);
+    }
+    return [id];
+  }
+
+  const needed = new Set();
+  const visit = (dep, from) => {
+    const t = byId.get(dep);
+    if (!t) throw new Error(`${dep} (a dependency of ${from}) is not in the plan`);
+    if (needed.has(dep) || t.status === 'completed') return;
+    needed.add(dep);
+    for (const next of t.dependsOn) visit(next, dep);
+  };
+  visit(id, id);
+  return tasks.filter(t => needed.has(t.id)).map(t => t.id);
+}
+
+/**
+ * Rewrite a task's Status line, adding one under the heading if it has none
+ * @param {string} markdown - Plan contents
+ * @param {string} id - Task ID
+ * @param {string} status - One of STATUSES
+ * @returns {string} Updated plan contents
+ */
+function setTaskStatus(markdown, id, status) {
+  if (!STATUSES.includes(status)) throw new Error(`Unknown task status: ${status}`);
+  const task = parsePlan(markdown).tasks.find(t => t.id === id);
+  if (!task) throw new Error(`${id} is not in the plan`);
+  const lines = String(markdown).split('\n');
+  if (task.statusLine) {
+    lines[task.statusLine - 1] = lines[task.statusLine - 1].replace(/(\*\*Status\*\*\s*:?\s*).*$/, `$1${status}`);
+  } else {
+    lines.splice(task.line, 0, `- **Status**: ${status}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Mirror plan tasks into a state object
+ *
+ * Extra fields already recorded per task (timestamps, block reasons) are kept.
+ * @param {object} state - Parsed state.json
+ * @param {object[]} tasks - Parsed tasks
+ * @returns {object} New state with tasks, tasks_total and tasks_completed set
+ */
+function syncState(state, tasks) {
+  const previous = new Map((Array.isArray(state.tasks) ? state.tasks : []).map(t => [t.id, t]));
+  return {
+    ...state,
+    tasks_total: tasks.length,
+    tasks_completed: tasks.filter(t => t.status === 'completed').length,
+    tasks: tasks.map(t => ({
+      ...previous.get(t.id),
+      id: t.id,
+      title: t.title,
+      status: t.status,
+      depends_on: t.dependsOn,
+    })),
+  };
+}
+
+/**
+ * Change a task's status in plans/current.md and state.json together
+ * @param {string} cwd - Project root
+ * @param {string} id - Task ID
+ * @param {string} status - One of STATUSES
+ * @param {object} [options] - {reason} for blocked tasks, {now} timestamp override, {command} for the lock and journal
+ * @returns {object} {task, state} — the phase changes only along a declared workflow transition
+ */
+function updateTaskStatus(cwd, id, status, { reason = null, now = new Date().toISOString(), command = 'golem tasks' } = {}) {
+  const planFile = getPlanPath(cwd);
+  if (!fs.existsSync(planFile)) throw new Error('No implementation plan found');
+
+  const lock = stateLib.acquireLock(cwd, { command });
+  try {
+    const current = stateLib.readState(cwd);
+    if (!current) throw new Error('No golem state found');
+    const { state } = current;
+
+    const original = fs.readFileSync(planFile, 'utf-8');
+    const previous = parsePlan(original).tasks.find(t => t.id === id);
+    const markdown = setTaskStatus(original, id, status);
+    const { tasks } = parsePlan(markdown);
+    const next = syncState(state, tasks);
+    const entry = next.tasks.find(t => t.id === id);
+    delete entry.blocked_reason;
+    if (status === 'completed') entry.completed_at = now;
+    if (status === 'blocked') {
+      entry.blocked_at = now;
+      if (reason) entry.blocked_reason = reason;
+    }
+    const phase = status === 'blocked' ? 'blocked'
+      : next.phase === 'blocked' && !tasks.some(t => t.status === 'blocked') ? 'building'
+        : next.phase;
+    if (canTransition(next.phase, phase)) next.phase = phase;
+    if (next.phase !== state.phase) next.phase_started = now;
+
+    stateLib.writeFilesAtomic([[planFile, markdown], [stateLib.getStatePath(cwd), stateLib.serializeState(next)]]);
+    events.appendEvent(cwd, { type: 'task', task: id, from: previous.status, to: status, ...(reason && { reason }) }, { now });
+    if (next.phase !== state.phase) events.appendEvent(cwd, { type: 'phase', from: state.phase, to: next.phase, command }, { now });
+    return { task: tasks.find(t => t.id === id), state: next };
+  } finally {
+    lock.release();
+  }
+}
+
+module.exports = {
+  STATUSES,
+  MIN_TASKS,
+  MAX_TASKS,
+  getPlanPath,
+  parsePlan,
+  readPlan,
+  parseSpecCriteria,
+  findSpec,
+  findCycles,
+  validatePlan,
+  nextTask,
+  parallelBatch,
+  criticalPath,
+  buildScope,
+  setTaskStatus,
+  syncState,
+  updateTaskStatus,
+};
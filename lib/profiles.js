@@ -0,0 +1,102 @@
+// lib/profiles.js — Claude CLI profiles for headless commands
+//
+// A profile is a named set of claude flags, kept under "profiles" in config:
+//
+//   "profiles": {
+//     "plan":  { "model": "opus", "maxTurns": 80 },
+//     "sweep": { "model": "haiku", "maxTurns": 15, "allowedTools": ["Read", "Grep", "Glob"] },
+//     "ci":    { "permissionMode": "acceptEdits", "outputFormat": "stream-json" }
+//   }
+//
+// golem <command> uses the profile named after the command, else "default",
+// else none; --profile <name> picks one for a single run. Fields a profile
+// leaves out fall back to the configured model, if one is set, or claude's
+// own defaults — with no model anywhere, claude gets no --model at all.
+
+// Profile field → claude flag and accepted values
+const PROFILE_FIELDS = {
+  model: { flag: '--model', type: 'string' },
+  maxTurns: { flag: '--max-turns', type: 'number' },
+  permissionMode: { flag: '--permission-mode', type: 'string', values: ['default', 'acceptEdits', 'plan', 'bypassPermissions'] },
+  allowedTools: { flag: '--allowedTools', type: 'array' },
+  outputFormat: { flag: '--output-format', type: 'string', values: ['text', 'json', 'stream-json'] },
+};
+
+/**
+ * Check the profiles config value
+ * @param {*} profiles - Value of the "profiles" key
+ * @returns {string|null} First problem found, or null when valid
+ */
+function validateProfiles(profiles) {
+  const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+  if (!isObject(profiles)) return '"profiles" must be an object of named profiles';
+  for (const [name, profile] of Object.entries(profiles)) {
+    if (!isObject(profile)) return `Profile "${name}" must be an object`;
+    for (const [field, value] of Object.entries(profile)) {
+      const def = PROFILE_FIELDS[field];
+      const where = `Profile "${name}": ${field}`;
+      if (!def) return `Profile "${name}" has unknown field "${field}". Valid fields: ${Object.keys(PROFILE_FIELDS).join(', ')}`;
+      if (def.type === 'array') {
+        if (!Array.isArray(value) || !value.every(v => typeof v === 'string' && v)) return `${where} must be a list of tool names`;
+        continue;
+      }
+      if (typeof value !== def.type || value === '') return `${where} must be a ${def.type}, got ${JSON.stringify(value)}`;
+      if (def.values && !def.values.includes(value)) return `${where} must be one of: ${def.values.join(', ')}`;
+      if (field === 'maxTurns' && (!Number.isInteger(value) || value < 1)) return `${where} must be a whole number of at least 1, got ${value}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Pick the profile for one run
+ * @param {string} command - Headless command name (plan, sweep...)
+ * @param {object} config - Configuration values; model is null or absent when not configured
+ * @param {string|null} [requested] - Name passed with --profile
+ * @returns {object} {name (null when none applies), model?, maxTurns?, ...}
+ * @throws {Error} When the requested profile does not exist
+ */
+function resolveProfile(command, config, requested = null) {
+  const profiles = config.profiles || {};
+  let name = null;
+  if (requested) {
+    if (!Object.prototype.hasOwnProperty.call(profiles, requested)) {
+      const known = Object.keys(profiles);
+      throw new Error(`Unknown profile "${requested}"${known.length ? ` (profiles: ${known.join(', ')})` : ' (no profiles are configured)'}`);
+    }
+    name = requested;
+  } else if (profiles[command]) {
+    name = command;
+  } else if (profiles.default) {
+    name = 'default';
+  }
+  return { name, ...(config.model && { model: config.model }), ...(name ? profiles[name] : {}) };
+}
+
+/**
+ * claude flags for a profile
+ * @param {object} profile - From resolveProfile()
+ * @returns {string[]}
+ */
+function profileArgs(profile) {
+  const args = [];
+  for (const [field, def] of Object.entries(PROFILE_FIELDS)) {
+    const value = profile[field];
+    if (value === undefined || value === null) continue;
+    if (def.type === 'array') {
+      if (value.length) args.push(def.flag, value.join(','));
+      continue;
+    }
+    args.push(def.flag, String(value));
+  }
+  // claude -p only streams JSON with --verbose
+  if (profile.outputFormat === 'stream-json') args.push('--verbose');
+  return args;
+}
+
+module.exports = {
+  PROFILE_FIELDS,
+  validateProfiles,
+  resolveProfile,
+  profileArgs,
+};
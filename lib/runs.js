@@ -0,0 +1,281 @@
+// lib/runs.js — Recorder for headless claude runs (.golem/runs/)
+//
+// Every headless workflow command gets a directory named
+// <YYYYMMDD-HHMMSS>-<command> holding:
+//
+//   run.json    — arguments, start/end, duration, exit status, git HEAD
+//                 before and after, and the files the run changed
+//   stdout.log  — everything claude printed, tee'd as it was printed
+//   stderr.log
+//
+// The tee runs in a separate node process (this file, run as a script) so the
+// caller can keep using spawnSync and the terminal still sees output live. It
+// also enforces the command's time budget (see lib/budget.js).
+// "Files changed" are the files committed between the two HEADs plus any whose
+// git status line differs from before the run (the run records themselves
+// excluded).
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { spawn, spawnSync } = require('child_process');
+const { TIMED_OUT_STATUS, KILL_GRACE_MS } = require('./budget.js');
+
+const TEE_SCRIPT = __filename;
+
+/**
+ * Directory holding the run records
+ * @param {string} cwd - Project root
+ * @returns {string}
+ */
+function getRunsDir(cwd) {
+  return path.join(cwd, '.golem', 'runs');
+}
+
+/**
+ * Run a git command, returning trimmed stdout or null on failure
+ * @param {string} cwd
+ * @param {string[]} args
+ * @returns {string|null}
+ */
+function git(cwd, args) {
+  const result = spawnSync('git', args, { cwd, stdio: 'pipe', encoding: 'utf-8' });
+  return result.status === 0 ? result.stdout.replace(/\s+$/, '') : null;
+}
+
+/**
+ * Porcelain status lines keyed by path
+ * @param {string} cwd
+ * @returns {object|null} {path: line}, or null outside a repository
+ */
+function gitDirty(cwd) {
+  const out = git(cwd, ['status', '--porcelain', '--untracked-files=all']);
+  if (out === null) return null;
+  const dirty = {};
+  for (const line of out.split('\n')) {
+    if (line.length > 3) dirty[line.slice(3)] = line;
+  }
+  return dirty;
+}
+
+/**
+ * Files a run changed
+ * @param {string} cwd - Project root
+ * @param {object} before - {head, dirty} captured when the run started
+ * @param {string|null} headAfter
+ * @returns {string[]} Sorted paths
+ */
+function changedFiles(cwd, before, headAfter) {
+  const files = new Set();
+  if (before.head && headAfter && before.head !== headAfter) {
+    const committed = git(cwd, ['diff', '--name-only', before.head, headAfter]);
+    if (committed) committed.split('\n').forEach(f => files.add(f));
+  }
+  const dirtyAfter = gitDirty(cwd) || {};
+  const dirtyBefore = before.dirty || {};
+  for (const file of new Set([...Object.keys(dirtyBefore), ...Object.keys(dirtyAfter)])) {
+    if (dirtyBefore[file] !== dirtyAfter[file]) files.add(file);
+  }
+  return [...files].filter(f => !f.startsWith('.golem/runs/')).sort();
+}
+
+/**
+ * Run ID for a command started at a given time
+ * @param {string} command - Workflow command name
+ * @param {Date} date
+ * @returns {string} e.g. 20260216-130330-build
+ */
+function runId(command, date) {
+  const stamp = date.toISOString().replace(/\.\d+Z$/, '').replace(/[-:]/g, '').replace('T', '-');
+  return `${stamp}-${command}`;
+}
+
+/**
+ * Write a run's record
+ * @param {object} run - From startRun
+ */
+function saveRun(run) {
+  fs.writeFileSync(path.join(run.dir, 'run.json'), JSON.stringify(run.record, null, 2) + '\n');
+}
+
+/**
+ * Create the run directory and its initial record
+ * @param {string} cwd - Project root
+ * @param {object} options - {command, args, argv, attempt, now}
+ * @returns {object} {id, dir, record, before} — pass to finishRun
+ */
+function startRun(cwd, { command, args = '', argv = [], attempt = 1, now = new Date() }) {
+  const base = runId(command, now);
+  let id = base;
+  for (let n = 2; fs.existsSync(path.join(getRunsDir(cwd), id)); n++) id = `${base}-${n}`;
+  const dir = path.join(getRunsDir(cwd), id);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const before = { head: git(cwd, ['rev-parse', 'HEAD']), dirty: gitDirty(cwd) };
+  const run = {
+    id,
+    dir,
+    before,
+    record: {
+      id,
+      command: `golem ${command}`,
+      args,
+      argv,
+      attempt,
+      started: now.toISOString(),
+      ended: null,
+      duration_ms: null,
+      exit_status: null,
+      timed_out: false,
+      head_before: before.head,
+      head_after: null,
+      files_changed: [],
+    },
+  };
+  saveRun(run);
+  return run;
+}
+
+/**
+ * Complete a run's record once claude has exited
+ * @param {string} cwd - Project root
+ * @param {object} run - From startRun
+ * @param {object} outcome - {status, timedOut, now}
+ * @returns {object} The final record
+ */
+function finishRun(cwd, run, { status, timedOut = false, now = new Date() }) {
+  const headAfter = git(cwd, ['rev-parse', 'HEAD']);
+  Object.assign(run.record, {
+    ended: now.toISOString(),
+    duration_ms: now.getTime() - Date.parse(run.record.started),
+    exit_status: status,
+    timed_out: timedOut,
+    head_after: headAfter,
+    files_changed: changedFiles(cwd, run.before, headAfter),
+  });
+  saveRun(run);
+  return run.record;
+}
+
+/**
+ * All recorded runs, newest first
+ * @param {string} cwd - Project root
+ * @returns {object[]} Records; unreadable run directories are skipped
+ */
+function listRuns(cwd) {
+  let ids;
+  try {
+    ids = fs.readdirSync(getRunsDir(cwd));
+  } catch {
+    return [];
+  }
+  const runs = [];
+  for (const id of ids) {
+    try {
+      runs.push(JSON.parse(fs.readFileSync(path.join(getRunsDir(cwd), id, 'run.json'), 'utf-8')));
+    } catch { /* not a run */ }
+  }
+  // IDs only go down to the second, and golem auto starts several runs in one;
+  // order by the start time, then by the -2, -3 suffix of same-second IDs
+  return runs.sort((a, b) => String(b.started).localeCompare(String(a.started))
+    || String(b.id).localeCompare(String(a.id), undefined, { numeric: true }));
+}
+
+/**
+ * Find a run by ID or unique ID prefix
+ * @param {string} cwd - Project root
+ * @param {string} id
+ * @returns {object|null} The record, or null when nothing matches
+ * @throws {Error} When the prefix matches more than one run
+ */
+function findRun(cwd, id) {
+  const runs = listRuns(cwd);
+  const exact = runs.find(r => r.id === id);
+  if (exact) return exact;
+  const matches = runs.filter(r => r.id.startsWith(id));
+  if (matches.length > 1) throw new Error(`Run ID "${id}" is ambiguous (${matches.length} runs match)`);
+  return matches[0] || null;
+}
+
+/**
+ * Last lines of a run's log
+ * @param {string} cwd - Project root
+ * @param {string} id - Run ID
+ * @param {string} stream - "stdout" or "stderr"
+ * @param {number} count - Lines to keep
+ * @returns {string[]}
+ */
+function tailLog(cwd, id, stream, count) {
+  let content;
+  try {
+    content = fs.readFileSync(path.join(getRunsDir(cwd), id, `${stream}.log`), 'utf-8');
+  } catch {
+    return [];
+  }
+  return content ? content.replace(/\n$/, '').split('\n').slice(-count) : [];
+}
+
+/**
+ * Run a command, copying its stdout/stderr to the terminal and to <dir>/{stdout,stderr}.log.
+ * Exits this process with the command's status (128 + signal number when killed,
+ * TIMED_OUT_STATUS when the time budget ran out).
+ * @param {string} dir - Run directory
+ * @param {string[]} argv - Command and arguments
+ * @param {object} [options] - {timeoutMs} — 0 for no limit
+ */
+function tee(dir, argv, { timeoutMs = 0 } = {}) {
+  const child = spawn(argv[0], argv.slice(1), { stdio: ['inherit', 'pipe', 'pipe'] });
+  const logs = {};
+  for (const stream of ['stdout', 'stderr']) {
+    logs[stream] = fs.openSync(path.join(dir, `${stream}.log`), 'w');
+    child[stream].on('data', chunk => {
+      process[stream].write(chunk);
+      fs.writeSync(logs[stream], chunk);
+    });
+  }
+  for (const signal of ['SIGINT', 'SIGTERM', 'SIGHUP']) {
+    process.on(signal, () => child.kill(signal));
+  }
+
+  let timedOut = false;
+  if (timeoutMs > 0) {
+    setTimeout(() => {
+      timedOut = true;
+      const message = `golem: time budget of ${Math.round(timeoutMs / 1000)}s exhausted, stopping ${argv[0]}\n`;
+      process.stderr.write(message);
+      fs.writeSync(logs.stderr, message);
+      child.kill('SIGTERM');
+      setTimeout(() => child.kill('SIGKILL'), KILL_GRACE_MS).unref();
+    }, timeoutMs).unref();
+  }
+
+  child.on('error', err => {
+    process.stderr.write(`${argv[0]}: ${err.message}\n`);
+    process.exit(127);
+  });
+  // Once out of time, don't wait for grandchildren still holding the pipes open
+  child.on('exit', () => {
+    if (timedOut) process.exit(TIMED_OUT_STATUS);
+  });
+  child.on('close', (code, signal) => {
+    const signo = signal ? os.constants.signals[signal] : 0;
+    process.exit(code ?? 128 + signo);
+  });
+}
+
+// node lib/runs.js <run dir> <timeout ms> <command> [args...]
+if (require.main === module) {
+  tee(process.argv[2], process.argv.slice(4), { timeoutMs: Number(process.argv[3]) || 0 });
+}
+
+module.exports = {
+  TEE_SCRIPT,
+  getRunsDir,
+  changedFiles,
+  runId,
+  startRun,
+  finishRun,
+  listRuns,
+  findRun,
+  tailLog,
+};
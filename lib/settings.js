@@ -0,0 +1,345 @@
+// lib/settings.js — Claude settings.json validation and merging
+//
+// Claude Code merges hooks and permissions from every settings scope, so a
+// hook registered in both ~/.claude/settings.json and .claude/settings.json
+// runs twice, and a rule in one scope's allow list is dead when another scope
+// denies it. These helpers load every scope and report that wiring.
+//
+// The installer merges golem's user settings into ~/.claude/settings.json
+// (mergeSettings) and records exactly what it added, so an update or
+// `golem uninstall` can take those entries back out (unmergeSettings).
+
+const fs = require('fs');
+const path = require('path');
+
+// Hook commands that run a golem hook script: ~/.golem/hooks/<name>.sh
+const GOLEM_HOOK_RE = /(?:~|\$HOME|\$\{HOME\})\/\.golem\/hooks\/([\w.-]+\.sh)/;
+
+/**
+ * Settings files Claude reads, lowest scope first
+ * @param {object} options - {home, cwd}
+ * @returns {object[]} [{scope, label, file}] — project entries are skipped when cwd is home
+ */
+function settingsFiles({ home, cwd }) {
+  const files = [{ scope: 'user', label: '~/.claude/settings.json', file: path.join(home, '.claude', 'settings.json') }];
+  if (path.resolve(cwd) !== path.resolve(home)) {
+    files.push({ scope: 'project', label: '.claude/settings.json', file: path.join(cwd, '.claude', 'settings.json') });
+    files.push({ scope: 'local', label: '.claude/settings.local.json', file: path.join(cwd, '.claude', 'settings.local.json') });
+  }
+  return files;
+}
+
+/**
+ * Parse every settings file
+ * @param {object[]} files - Output of settingsFiles()
+ * @returns {object[]} [{scope, label, file, exists, settings, error}]
+ */
+function loadSettings(files) {
+  return files.map(entry => {
+    if (!fs.existsSync(entry.file)) return { ...entry, exists: false, settings: null, error: null };
+    try {
+      const settings = JSON.parse(fs.readFileSync(entry.file, 'utf-8'));
+      if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return { ...entry, exists: true, settings: null, error: 'not a JSON object' };
+      }
+      return { ...entry, exists: true, settings, error: null };
+    } catch {
+      return { ...entry, exists: true, settings: null, error: 'invalid JSON' };
+    }
+  });
+}
+
+/**
+ * Flatten the hooks block of a settings object
+ * @param {object} settings - Parsed settings.json
+ * @returns {object[]} [{event, matcher, command}]
+ */
+function hookEntries(settings) {
+  const entries = [];
+  const hooks = settings && settings.hooks;
+  if (!hooks || typeof hooks !== 'object') return entries;
+  for (const [event, groups] of Object.entries(hooks)) {
+    if (!Array.isArray(groups)) continue;
+    for (const group of groups) {
+      if (!group || !Array.isArray(group.hooks)) continue;
+      for (const hook of group.hooks) {
+        if (hook && typeof hook.command === 'string') {
+          entries.push({ event, matcher: group.matcher || '', command: hook.command });
+        }
+      }
+    }
+  }
+  return entries;
+}
+
+/**
+ * Resolve the golem hook script a command runs
+ * @param {string} command - Hook command
+ * @param {string} home - Home directory (what ~ expands to)
+ * @returns {string|null} Absolute script path, or null when the command is not a golem hook
+ */
+function resolveGolemHook(command, home) {
+  const match = command.match(GOLEM_HOOK_RE);
+  return match ? path.join(home, '.golem', 'hooks', match[1]) : null;
+}
+
+/**
+ * Short label for a hook in doctor output
+ * @param {object} entry - {event, matcher, command}
+ * @returns {string}
+ */
+function hookLabel({ event, matcher, command }) {
+  const match = command.match(GOLEM_HOOK_RE);
+  const name = match ? match[1] : (command.length > 40 ? `${command.slice(0, 37)}...` : command);
+  return `${name} ${event}${matcher ? `[${matcher}]` : ''}`;
+}
+
+/**
+ * Find hooks registered more than once across (or within) scopes
+ * @param {object[]} loaded - Output of loadSettings()
+ * @returns {object[]} [{event, matcher, command, scopes}]
+ */
+function findDuplicateHooks(loaded) {
+  const seen = new Map();
+  for (const { scope, settings } of loaded) {
+    for (const entry of hookEntries(settings)) {
+      const key = JSON.stringify([entry.event, entry.matcher, entry.command]);
+      if (!seen.has(key)) seen.set(key, { ...entry, scopes: [] });
+      seen.get(key).scopes.push(scope);
+    }
+  }
+  return [...seen.values()].filter(h => h.scopes.length > 1);
+}
+
+/**
+ * Find permission rules that are both allowed and denied
+ * @param {object[]} loaded - Output of loadSettings()
+ * @returns {object[]} [{rule, allow: scopes, deny: scopes}]
+ */
+function findPermissionConflicts(loaded) {
+  const lists = { allow: new Map(), deny: new Map() };
+  for (const { scope, settings } of loaded) {
+    const permissions = (settings && settings.permissions) || {};
+    for (const kind of ['allow', 'deny']) {
+      if (!Array.isArray(permissions[kind])) continue;
+      for (const rule of permissions[kind]) {
+        // Template comment strings ("// ...") are not rules
+        if (typeof rule !== 'string' || rule.startsWith('//')) continue;
+        if (!lists[kind].has(rule)) lists[kind].set(rule, []);
+        lists[kind].get(rule).push(scope);
+      }
+    }
+  }
+  const conflicts = [];
+  for (const [rule, allow] of lists.allow) {
+    if (lists.deny.has(rule)) conflicts.push({ rule, allow, deny: lists.deny.get(rule) });
+  }
+  return conflicts;
+}
+
+/**
+ * Doctor checks for settings files, golem hook wiring, duplicates and permission conflicts
+ * @param {object} options - {home, cwd}
+ * @returns {object[]} [{name, ok, detail, optional?}]
+ */
+function verifySettings({ home, cwd = process.cwd() }) {
+  const checks = [];
+  const loaded = loadSettings(settingsFiles({ home, cwd }));
+
+  for (const entry of loaded) {
+    if (entry.scope === 'user') {
+      checks.push({ name: entry.label, ok: entry.exists && !entry.error, detail: !entry.exists ? 'missing' : entry.error || 'valid' });
+    } else if (entry.exists) {
+      checks.push({ name: entry.label, ok: !entry.error, detail: entry.error || 'valid' });
+    }
+  }
+
+  // Every ~/.golem/hooks/*.sh command must point at an executable script
+  const problems = [];
+  const wired = new Set();
+  for (const { scope, settings } of loaded) {
+    for (const entry of hookEntries(settings)) {
+      const script = resolveGolemHook(entry.command, home);
+      if (!script) continue;
+      wired.add(script);
+      let problem = null;
+      if (!fs.existsSync(script)) problem = 'missing';
+      else {
+        try { fs.accessSync(script, fs.constants.X_OK); } catch { problem = 'not executable'; }
+      }
+      if (problem) problems.push(`${path.basename(script)} (${scope} ${entry.event}): ${problem}`);
+    }
+  }
+  checks.push({
+    name: 'Hook scripts',
+    ok: problems.length === 0,
+    detail: problems.length ? problems.join('; ') : wired.size ? `${wired.size} golem hook(s) wired` : 'no golem hooks registered',
+  });
+
+  const duplicates = findDuplicateHooks(loaded);
+  checks.push({
+    name: 'Duplicate hooks',
+    ok: duplicates.length === 0,
+    optional: true,
+    detail: duplicates.length
+      ? `runs more than once: ${duplicates.map(d => `${hookLabel(d)} (${d.scopes.join(', ')})`).join('; ')}`
+      : 'none',
+  });
+
+  const conflicts = findPermissionConflicts(loaded);
+  checks.push({
+    name: 'Permission conflicts',
+    ok: conflicts.length === 0,
+    optional: true,
+    detail: conflicts.length
+      ? `allowed and denied (deny wins): ${conflicts.map(c => `${c.rule} (allow: ${c.allow.join(', ')}; deny: ${c.deny.join(', ')})`).join('; ')}`
+      : 'none',
+  });
+
+  return checks;
+}
+
+/**
+ * Plain-object check (not null, not an array)
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Merge golem's settings into the user's without overriding anything they set
+ * - permissions arrays (allow, deny, ...): union
+ * - hooks: golem hooks appended per event unless the same matcher + command is already there
+ * - env and other keys: the user's value wins; golem only fills in missing keys
+ * @param {object} base - User's settings (not modified)
+ * @param {object} golem - Golem's settings (comment keys already stripped)
+ * @param {object} [options] - {claimExisting} — also own entries already identical to golem's
+ *   (upgrading an install that replaced the file before ownership was recorded)
+ * @returns {object} {merged, owned} — owned lists every entry golem added, for unmergeSettings()
+ */
+function mergeSettings(base, golem, { claimExisting = false } = {}) {
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  const merged = JSON.parse(JSON.stringify(isObject(base) ? base : {}));
+  const owned = { keys: {}, env: {}, permissions: {}, hooks: [] };
+
+  for (const [key, value] of Object.entries(golem)) {
+    if (key === 'permissions' && isObject(value)) {
+      if (!isObject(merged.permissions)) merged.permissions = {};
+      for (const [kind, rules] of Object.entries(value)) {
+        if (Array.isArray(rules)) {
+          const current = Array.isArray(merged.permissions[kind]) ? merged.permissions[kind] : [];
+          const added = rules.filter(rule => !current.includes(rule));
+          if (added.length) merged.permissions[kind] = [...current, ...added];
+          const claimed = claimExisting ? rules : added;
+          if (claimed.length) owned.permissions[kind] = claimed;
+        } else if (!(kind in merged.permissions)) {
+          merged.permissions[kind] = value[kind];
+          owned.keys[`permissions.${kind}`] = value[kind];
+        } else if (claimExisting && same(merged.permissions[kind], value[kind])) {
+          owned.keys[`permissions.${kind}`] = value[kind];
+        }
+      }
+    } else if (key === 'env' && isObject(value)) {
+      if (!isObject(merged.env)) merged.env = {};
+      for (const [name, envValue] of Object.entries(value)) {
+        if (name in merged.env) {
+          if (claimExisting && merged.env[name] === envValue) owned.env[name] = envValue;
+          continue;
+        }
+        merged.env[name] = envValue;
+        owned.env[name] = envValue;
+      }
+    } else if (key === 'hooks' && isObject(value)) {
+      if (!isObject(merged.hooks)) merged.hooks = {};
+      for (const [event, groups] of Object.entries(value)) {
+        if (!Array.isArray(groups)) continue;
+        if (!Array.isArray(merged.hooks[event])) merged.hooks[event] = [];
+        for (const group of groups) {
+          const matcher = group.matcher || '';
+          const existing = hookEntries({ hooks: { [event]: merged.hooks[event] } });
+          const missing = (group.hooks || []).filter(hook =>
+            !existing.some(e => e.matcher === matcher && e.command === hook.command));
+          if (missing.length) merged.hooks[event].push({ ...group, hooks: missing });
+          for (const hook of claimExisting ? group.hooks || [] : missing) {
+            owned.hooks.push({ event, matcher, command: hook.command });
+          }
+        }
+      }
+    } else if (!(key in merged)) {
+      merged[key] = value;
+      owned.keys[key] = value;
+    } else if (claimExisting && same(merged[key], value)) {
+      owned.keys[key] = value;
+    }
+  }
+
+  return { merged, owned };
+}
+
+/**
+ * Remove the entries golem added (the inverse of mergeSettings)
+ * Env values and keys the user has since changed are left alone; containers
+ * emptied by the removal are dropped.
+ * @param {object} settings - Current settings (not modified)
+ * @param {object} owned - The owned record from mergeSettings()
+ * @returns {object} Settings without golem's entries
+ */
+function unmergeSettings(settings, owned) {
+  const result = JSON.parse(JSON.stringify(isObject(settings) ? settings : {}));
+  if (!isObject(owned)) return result;
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+  for (const [key, value] of Object.entries(owned.keys || {})) {
+    if (key.startsWith('permissions.')) {
+      const kind = key.slice('permissions.'.length);
+      if (isObject(result.permissions) && same(result.permissions[kind], value)) delete result.permissions[kind];
+    } else if (same(result[key], value)) {
+      delete result[key];
+    }
+  }
+
+  if (isObject(result.env)) {
+    for (const [name, value] of Object.entries(owned.env || {})) {
+      if (result.env[name] === value) delete result.env[name];
+    }
+    if (!Object.keys(result.env).length) delete result.env;
+  }
+
+  if (isObject(result.permissions)) {
+    for (const [kind, rules] of Object.entries(owned.permissions || {})) {
+      if (!Array.isArray(result.permissions[kind])) continue;
+      result.permissions[kind] = result.permissions[kind].filter(rule => !rules.includes(rule));
+      if (!result.permissions[kind].length) delete result.permissions[kind];
+    }
+    if (!Object.keys(result.permissions).length) delete result.permissions;
+  }
+
+  if (isObject(result.hooks)) {
+    for (const { event, matcher, command } of owned.hooks || []) {
+      if (!Array.isArray(result.hooks[event])) continue;
+      result.hooks[event] = result.hooks[event]
+        .map(group => ((group.matcher || '') === matcher && Array.isArray(group.hooks)
+          ? { ...group, hooks: group.hooks.filter(hook => hook.command !== command) }
+          : group))
+        .filter(group => !Array.isArray(group.hooks) || group.hooks.length);
+      if (!result.hooks[event].length) delete result.hooks[event];
+    }
+    if (!Object.keys(result.hooks).length) delete result.hooks;
+  }
+
+  return result;
+}
+
+module.exports = {
+  settingsFiles,
+  loadSettings,
+  hookEntries,
+  resolveGolemHook,
+  findDuplicateHooks,
+  findPermissionConflicts,
+  verifySettings,
+  mergeSettings,
+  unmergeSettings,
+};
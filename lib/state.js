@@ -0,0 +1,376 @@
+// lib/state.js — .golem/state.json schema, migrations, atomic saves and locking
+//
+// state.json carries a schema_version. Files without one are version 0 (the
+// shape written by golem before the schema existed) and are migrated in memory
+// on read; the migrated shape is persisted by the next save.
+//
+// Saves go to a temp file in the same directory and are renamed over the
+// original, so readers never see a half-written file. .golem/state.lock is an
+// advisory lock held for a golem command's read-modify-write, and for the whole
+// of a headless claude run. The run's token is passed to the child through
+// GOLEM_STATE_LOCK so golem commands the agent runs (golem tasks done ...) can
+// re-enter it; anything else is refused until the holder exits.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const STATE_VERSION = 1;
+const PHASES = ['initialized', 'discussed', 'specced', 'planned', 'building', 'blocked', 'complete', 'released'];
+const TASK_STATUSES = ['pending', 'in_progress', 'completed', 'blocked'];
+const TASK_STATUS_ALIASES = {
+  done: 'completed',
+  complete: 'completed',
+  'in progress': 'in_progress',
+  'in-progress': 'in_progress',
+};
+// last_run.outcome — how the latest headless workflow command ended (see lib/budget.js)
+const RUN_OUTCOMES = ['succeeded', 'failed', 'timed_out'];
+// A lock from another host cannot be checked for a live pid, so it only expires with age
+const LOCK_STALE_MS = 12 * 60 * 60 * 1000;
+const LOCK_ENV = 'GOLEM_STATE_LOCK';
+
+const MIGRATIONS = [
+  {
+    from: 0,
+    to: 1,
+    description: 'Add schema_version; normalize legacy phase names, task statuses and counters',
+    migrate(state) {
+      const phases = { in_progress: 'building', completed: 'complete', done: 'complete' };
+      const next = { ...state, schema_version: 1 };
+      if (phases[next.phase]) next.phase = phases[next.phase];
+      for (const key of ['tasks_completed', 'tasks_total']) {
+        if (typeof next[key] === 'string' && /^\d+$/.test(next[key])) next[key] = Number(next[key]);
+      }
+      if (Array.isArray(next.tasks)) {
+        next.tasks = next.tasks.map(task => {
+          if (!task || typeof task !== 'object') return task;
+          const { dependsOn, ...rest } = task;
+          return {
+            ...rest,
+            status: normalizeTaskStatus(task.status) || task.status,
+            depends_on: task.depends_on || dependsOn || [],
+          };
+        });
+      }
+      return next;
+    },
+  },
+];
+
+/**
+ * Path to state.json
+ * @param {string} cwd - Project root
+ * @returns {string}
+ */
+function getStatePath(cwd) {
+  return path.join(cwd, '.golem', 'state.json');
+}
+
+/**
+ * Path to the advisory lock file
+ * @param {string} cwd - Project root
+ * @returns {string}
+ */
+function getLockPath(cwd) {
+  return path.join(cwd, '.golem', 'state.lock');
+}
+
+/**
+ * Normalize a task status ("✅ COMPLETE", "done", "In progress" ...)
+ * @param {string} raw - Status text
+ * @returns {string|null} One of TASK_STATUSES, or null when unrecognized
+ */
+function normalizeTaskStatus(raw) {
+  const text = String(raw || '').replace(/[^\w\s-]/g, '').trim().toLowerCase();
+  if (TASK_STATUSES.includes(text)) return text;
+  return TASK_STATUS_ALIASES[text] || null;
+}
+
+/**
+ * Fresh state for golem init / golem reset
+ * @param {string} [now] - ISO timestamp
+ * @returns {object}
+ */
+function createState(now = new Date().toISOString()) {
+  return {
+    schema_version: STATE_VERSION,
+    phase: 'initialized',
+    tasks_completed: 0,
+    tasks_total: 0,
+    created: now,
+    phase_started: now,
+  };
+}
+
+/**
+ * Bring a parsed state.json up to STATE_VERSION
+ * @param {object} raw - Parsed state.json
+ * @returns {object} {state, applied: [description]}
+ * @throws {Error} When the file was written by a newer golem
+ */
+function migrateState(raw) {
+  let state = raw;
+  const applied = [];
+  let version = Number.isInteger(raw.schema_version) ? raw.schema_version : 0;
+  if (version > STATE_VERSION) {
+    throw new Error(`.golem/state.json has schema_version ${version}; this golem supports up to ${STATE_VERSION}`);
+  }
+  for (const migration of MIGRATIONS) {
+    if (migration.from !== version) continue;
+    state = migration.migrate(state);
+    applied.push(migration.description);
+    version = migration.to;
+  }
+  return { state, applied };
+}
+
+/**
+ * Check a (migrated) state object against the schema
+ *
+ * Unknown top-level keys are allowed — the slash commands record extras such
+ * as target_grade and estimated_hours.
+ * @param {object} state - State to check
+ * @returns {object} {valid, errors: [string]}
+ */
+function validateState(state) {
+  const errors = [];
+  if (!state || typeof state !== 'object' || Array.isArray(state)) {
+    return { valid: false, errors: ['state must be a JSON object'] };
+  }
+
+  const isCount = v => Number.isInteger(v) && v >= 0;
+  const isDate = v => typeof v === 'string' && !Number.isNaN(Date.parse(v));
+
+  if (state.schema_version !== STATE_VERSION) errors.push(`schema_version must be ${STATE_VERSION}`);
+  if (!PHASES.includes(state.phase)) errors.push(`phase must be one of: ${PHASES.join(', ')} (got ${JSON.stringify(state.phase)})`);
+  if (!isDate(state.created)) errors.push('created must be an ISO timestamp');
+  if ('phase_started' in state && !isDate(state.phase_started)) errors.push('phase_started must be an ISO timestamp');
+  for (const key of ['tasks_completed', 'tasks_total']) {
+    if (!isCount(state[key])) errors.push(`${key} must be a non-negative integer`);
+  }
+  if (isCount(state.tasks_completed) && isCount(state.tasks_total) && state.tasks_completed > state.tasks_total) {
+    errors.push(`tasks_completed (${state.tasks_completed}) exceeds tasks_total (${state.tasks_total})`);
+  }
+  for (const key of ['spec', 'plan']) {
+    if (key in state && state[key] !== null && typeof state[key] !== 'string') errors.push(`${key} must be a string`);
+  }
+
+  if ('last_run' in state && state.last_run !== null) {
+    const run = state.last_run;
+    if (!run || typeof run !== 'object' || Array.isArray(run)) {
+      errors.push('last_run must be an object');
+    } else {
+      if (!RUN_OUTCOMES.includes(run.outcome)) errors.push(`last_run.outcome must be one of: ${RUN_OUTCOMES.join(', ')}`);
+      if (typeof run.command !== 'string') errors.push('last_run.command must be a string');
+      if (!isCount(run.attempts)) errors.push('last_run.attempts must be a non-negative integer');
+    }
+  }
+
+  if ('tasks' in state) {
+    if (!Array.isArray(state.tasks)) {
+      errors.push('tasks must be an array');
+    } else {
+      state.tasks.forEach((task, i) => {
+        const label = task && typeof task.id === 'string' ? task.id : `tasks[${i}]`;
+        if (!task || typeof task !== 'object') return errors.push(`${label} must be an object`);
+        if (typeof task.id !== 'string' || !task.id) errors.push(`${label}: id must be a non-empty string`);
+        if (typeof task.title !== 'string') errors.push(`${label}: title must be a string`);
+        if (!TASK_STATUSES.includes(task.status)) errors.push(`${label}: status must be one of: ${TASK_STATUSES.join(', ')}`);
+        if (!Array.isArray(task.depends_on) || task.depends_on.some(d => typeof d !== 'string')) {
+          errors.push(`${label}: depends_on must be an array of task IDs`);
+        }
+      });
+      if (isCount(state.tasks_total) && state.tasks_total !== state.tasks.length) {
+        errors.push(`tasks_total (${state.tasks_total}) does not match the ${state.tasks.length} entries in tasks`);
+      }
+      const completed = state.tasks.filter(t => t && t.status === 'completed').length;
+      if (isCount(state.tasks_completed) && state.tasks_completed !== completed) {
+        errors.push(`tasks_completed (${state.tasks_completed}) does not match the ${completed} completed entries in tasks`);
+      }
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Read, parse and migrate state.json
+ * @param {string} cwd - Project root
+ * @returns {object|null} {state, applied}, or null when the file does not exist
+ * @throws {Error} When the file is not valid JSON or was written by a newer golem
+ */
+function readState(cwd) {
+  const file = getStatePath(cwd);
+  if (!fs.existsSync(file)) return null;
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch {
+    throw new Error('.golem/state.json is not valid JSON');
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('.golem/state.json must contain a JSON object');
+  }
+  return migrateState(raw);
+}
+
+/**
+ * Write several files so that none is replaced unless all could be staged
+ * @param {Array<[string, string]>} entries - [filePath, contents] pairs
+ */
+function writeFilesAtomic(entries) {
+  const staged = [];
+  try {
+    for (const [file, contents] of entries) {
+      const tmp = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, contents);
+      staged.push([tmp, file]);
+    }
+  } catch (err) {
+    for (const [tmp] of staged) fs.rmSync(tmp, { force: true });
+    throw err;
+  }
+  for (const [tmp, file] of staged) fs.renameSync(tmp, file);
+}
+
+/**
+ * Serialize state the way golem has always written it
+ * @param {object} state
+ * @returns {string}
+ */
+function serializeState(state) {
+  const { schema_version: _version, ...rest } = state;
+  return JSON.stringify({ schema_version: STATE_VERSION, ...rest }, null, 2);
+}
+
+/**
+ * Save state.json atomically
+ * @param {string} cwd - Project root
+ * @param {object} state - State to write
+ */
+function writeState(cwd, state) {
+  writeFilesAtomic([[getStatePath(cwd), serializeState(state)]]);
+}
+
+/**
+ * Current lock holder
+ * @param {string} cwd - Project root
+ * @returns {object|null} {pid, host, command, created, token}, or null when unlocked
+ */
+function readLock(cwd) {
+  try {
+    return JSON.parse(fs.readFileSync(getLockPath(cwd), 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether a lock can be taken over
+ * @param {object} lock - Lock contents
+ * @param {number} now - Current time in ms
+ * @returns {boolean}
+ */
+function isStale(lock, now) {
+  if (!lock || !Number.isInteger(lock.pid)) return true;
+  if (lock.host === os.hostname()) {
+    try {
+      process.kill(lock.pid, 0);
+      return false;
+    } catch (err) {
+      return err.code !== 'EPERM';
+    }
+  }
+  const created = Date.parse(lock.created);
+  return Number.isNaN(created) || now - created > LOCK_STALE_MS;
+}
+
+/**
+ * Take the advisory lock
+ *
+ * Re-entrant for processes started under a holder (GOLEM_STATE_LOCK matches
+ * its token). Locks whose process is gone are taken over.
+ * @param {string} cwd - Project root
+ * @param {object} [options] - {command} shown to anyone refused, {env}
+ * @returns {object} {token, release()}
+ * @throws {Error} With .lock set when another live process holds it
+ */
+function acquireLock(cwd, { command = 'golem', env = process.env } = {}) {
+  const lockFile = getLockPath(cwd);
+  const existing = readLock(cwd);
+  if (existing && env[LOCK_ENV] && existing.token === env[LOCK_ENV]) {
+    return { token: existing.token, release() {} };
+  }
+
+  const token = crypto.randomBytes(8).toString('hex');
+  const contents = JSON.stringify({ pid: process.pid, host: os.hostname(), command, created: new Date().toISOString(), token }, null, 2);
+  fs.mkdirSync(path.dirname(lockFile), { recursive: true });
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      fs.writeFileSync(lockFile, contents, { flag: 'wx' });
+      return {
+        token,
+        release() {
+          const current = readLock(cwd);
+          if (current && current.token === token) fs.rmSync(lockFile, { force: true });
+        },
+      };
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+      const holder = readLock(cwd);
+      if (!isStale(holder, Date.now())) {
+        const error = new Error(`.golem/state.json is locked by ${holder.command} (pid ${holder.pid}${holder.host === os.hostname() ? '' : ` on ${holder.host}`}) since ${holder.created}`);
+        error.lock = holder;
+        throw error;
+      }
+      fs.rmSync(lockFile, { force: true });
+    }
+  }
+  throw new Error('Could not acquire .golem/state.lock');
+}
+
+/**
+ * Read-modify-write state.json under the lock
+ * @param {string} cwd - Project root
+ * @param {Function} mutate - (state) => new state
+ * @param {object} [options] - Passed to acquireLock()
+ * @returns {object} The state that was written
+ */
+function updateState(cwd, mutate, options = {}) {
+  const lock = acquireLock(cwd, options);
+  try {
+    const current = readState(cwd);
+    if (!current) throw new Error('No golem state found');
+    const next = mutate(current.state);
+    writeState(cwd, next);
+    return next;
+  } finally {
+    lock.release();
+  }
+}
+
+module.exports = {
+  STATE_VERSION,
+  PHASES,
+  TASK_STATUSES,
+  RUN_OUTCOMES,
+  LOCK_ENV,
+  MIGRATIONS,
+  getStatePath,
+  getLockPath,
+  normalizeTaskStatus,
+  createState,
+  migrateState,
+  validateState,
+  readState,
+  writeFilesAtomic,
+  serializeState,
+  writeState,
+  readLock,
+  isStale,
+  acquireLock,
+  updateState,
+};
@@ -0,0 +1,191 @@
+// lib/status.js — Project status report for golem status
+//
+// Combines state.json with the parsed plan, blocked-task logs and the
+// file-change log written by the PostToolUse hook, and summarizes the other
+// worktrees of the repository. Everything here reads; nothing writes.
+
+const fs = require('fs');
+const path = require('path');
+const plan = require('./plan.js');
+const stateLib = require('./state.js');
+const worktree = require('./worktree.js');
+
+/**
+ * Blockers recorded in .golem/logs/blocked-<TASK-ID>.md
+ *
+ * The reason is taken from the last "## Reason:" (golem tasks block adds one
+ * each time), then "## Root cause analysis:" or "## Phase that failed:" (the
+ * build protocol).
+ * @param {string} cwd - Project root
+ * @returns {object[]} [{task, title, reason, file}]
+ */
+function readBlockers(cwd) {
+  const logsDir = path.join(cwd, '.golem', 'logs');
+  if (!fs.existsSync(logsDir)) return [];
+
+  return fs.readdirSync(logsDir)
+    .filter(f => /^blocked-.+\.md$/.test(f))
+    .sort()
+    .map(file => {
+      let content = '';
+      try { content = fs.readFileSync(path.join(logsDir, file), 'utf-8'); } catch { /* removed mid-read */ }
+      const heading = content.match(/^#\s*BLOCKED:\s*(\S+)\s*(?:[—–-]+\s*(.*?))?\s*$/m);
+      return {
+        task: heading ? heading[1] : file.replace(/^blocked-|\.md$/g, ''),
+        title: heading && heading[2] ? heading[2] : null,
+        reason: sectionText(content, 'Reason') || sectionText(content, 'Root cause analysis') || sectionText(content, 'Phase that failed'),
+        file: path.join('.golem', 'logs', file),
+      };
+    });
+}
+
+/**
+ * First line of text under the last "## <name>:" (or on the heading line itself)
+ * @param {string} content - Markdown
+ * @param {string} name - Section name
+ * @returns {string|null}
+ */
+function sectionText(content, name) {
+  const lines = content.split('\n');
+  const index = lines.findLastIndex(l => l.toLowerCase().startsWith(`## ${name.toLowerCase()}:`));
+  if (index === -1) return null;
+  const inline = lines[index].slice(name.length + 4).trim();
+  if (inline) return inline;
+  const next = lines.slice(index + 1).find(l => l.trim());
+  return next && !next.startsWith('#') ? next.trim() : null;
+}
+
+/**
+ * Most recent entry in .golem/logs/file-changes.log
+ *
+ * The project hook writes "YYYY-MM-DDTHH:MM:SS <file>"; the user hook writes
+ * "HH:MM:SS WRITE: <file>", whose date comes from the log's mtime.
+ * @param {string} cwd - Project root
+ * @returns {object|null} {at, file}
+ */
+function lastActivity(cwd) {
+  const logFile = path.join(cwd, '.golem', 'logs', 'file-changes.log');
+  let content;
+  try { content = fs.readFileSync(logFile, 'utf-8'); } catch { return null; }
+  const line = content.split('\n').filter(l => l.trim()).pop();
+  if (!line) return null;
+
+  const match = line.match(/^(\S+)\s+(?:WRITE:\s*)?(.*)$/);
+  if (!match) return null;
+  let at = match[1];
+  if (/^\d{2}:\d{2}:\d{2}$/.test(at)) {
+    at = `${fs.statSync(logFile).mtime.toISOString().slice(0, 10)}T${at}`;
+  }
+  return { at, file: match[2] };
+}
+
+/**
+ * Seconds spent in the current phase
+ * @param {object} state - Parsed state.json
+ * @param {Date} now - Current time
+ * @returns {number|null} null when the phase start is unknown
+ */
+function phaseElapsed(state, now) {
+  const since = state.phase_started || (state.phase === 'initialized' ? state.created : null);
+  const started = since ? Date.parse(since) : NaN;
+  if (Number.isNaN(started)) return null;
+  return Math.max(0, Math.floor((now.getTime() - started) / 1000));
+}
+
+/**
+ * Human-readable duration ("2d 3h", "4h 12m", "7m", "30s")
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatDuration(seconds) {
+  const d = Math.floor(seconds / 86400);
+  const h = Math.floor((seconds % 86400) / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  if (d) return `${d}d ${h}h`;
+  if (h) return `${h}h ${m}m`;
+  if (m) return `${m}m`;
+  return `${seconds}s`;
+}
+
+/**
+ * Build the status report
+ *
+ * With a plan, task counters come from it; otherwise from state.json.
+ * Blockers for tasks the plan marks completed are dropped as stale.
+ * @param {string} cwd - Project root
+ * @param {object} state - Parsed state.json
+ * @param {object} [options] - {now} for tests
+ * @returns {object} Report in the shape printed by golem status --json (minus git)
+ */
+function buildStatus(cwd, state, { now = new Date() } = {}) {
+  const planFile = plan.getPlanPath(cwd);
+  const parsed = plan.readPlan(planFile);
+  const tasks = parsed ? parsed.tasks : [];
+  const byId = new Map(tasks.map(t => [t.id, t]));
+  const brief = t => (t ? { id: t.id, title: t.title } : null);
+
+  return {
+    phase: state.phase || 'unknown',
+    phase_started: state.phase_started || null,
+    phase_elapsed_seconds: phaseElapsed(state, now),
+    tasks_completed: parsed ? tasks.filter(t => t.status === 'completed').length : (state.tasks_completed || 0),
+    tasks_total: parsed ? tasks.length : (state.tasks_total || 0),
+    created: state.created || 'unknown',
+    plan: parsed ? path.relative(cwd, planFile) : null,
+    current_task: brief(tasks.find(t => t.status === 'in_progress')),
+    next_task: brief(plan.nextTask(tasks)),
+    tasks: tasks.map(t => ({ id: t.id, title: t.title, status: t.status, depends_on: t.dependsOn })),
+    critical_path: plan.criticalPath(tasks),
+    blockers: readBlockers(cwd).filter(b => !byId.has(b.task) || byId.get(b.task).status !== 'completed'),
+    last_activity: lastActivity(cwd),
+  };
+}
+
+/**
+ * Summarize every worktree of the repository other than cwd
+ *
+ * Worktrees without .golem/state.json are listed with a null phase; one
+ * whose state cannot be read carries the reason in error.
+ * @param {string} cwd - Project root
+ * @returns {object[]} [{name, path, branch, main, phase, tasks_completed, tasks_total, last_run, error}]
+ */
+function worktreeStatus(cwd) {
+  const real = worktree.safeRealpath;
+  const here = real(cwd);
+  return worktree.listWorktrees(cwd).filter(wt => real(wt.path) !== here).map(wt => {
+    const entry = {
+      name: path.relative(here, real(wt.path)),
+      path: wt.path,
+      branch: wt.branch,
+      main: wt.main,
+      phase: null,
+      tasks_completed: 0,
+      tasks_total: 0,
+      last_run: null,
+      error: null,
+    };
+    if (!wt.golem) return entry;
+    try {
+      const { state } = stateLib.readState(wt.path);
+      const report = buildStatus(wt.path, state);
+      return {
+        ...entry,
+        phase: report.phase,
+        tasks_completed: report.tasks_completed,
+        tasks_total: report.tasks_total,
+        last_run: state.last_run ? state.last_run.outcome : null,
+      };
+    } catch (err) {
+      return { ...entry, error: err.message };
+    }
+  });
+}
+
+module.exports = {
+  readBlockers,
+  lastActivity,
+  phaseElapsed,
+  formatDuration,
+  buildStatus,
+  worktreeStatus,
+};
@@ -0,0 +1,221 @@
+// lib/templates.js — Lint slash command and agent templates
+//
+// golem templates lint checks the .md files Claude Code loads as commands
+// (commands/golem-*.md) and subagents (agents/*.md): the frontmatter parses
+// (lib/frontmatter.js) and has its required keys, allowed-tools and tools name
+// tools Claude Code has, a command that takes arguments declares an
+// argument-hint and one that declares it uses $ARGUMENTS, and every .golem/
+// file a template reads is one golem or some template writes. Templates drift
+// apart as they are edited one at a time; the last check is what catches a
+// command reading .golem/IMPLEMENTATION_PLAN.md when golem plan writes
+// .golem/plans/current.md.
+
+const fs = require('fs');
+const path = require('path');
+const { parseFrontmatter, toolList } = require('./frontmatter.js');
+const { hintText } = require('./commands.js');
+
+// Built-in Claude Code tools; MCP tools (mcp__server__tool) are always accepted
+const KNOWN_TOOLS = [
+  'Bash', 'BashOutput', 'KillShell', 'Read', 'Write', 'Edit', 'MultiEdit', 'Grep', 'Glob', 'LS',
+  'Task', 'TodoWrite', 'WebSearch', 'WebFetch', 'NotebookRead', 'NotebookEdit',
+  'ExitPlanMode', 'SlashCommand', 'Skill', 'AskUserQuestion',
+];
+
+// Frontmatter keys by template kind; required keys are errors when missing
+const KINDS = {
+  command: {
+    required: ['description'],
+    keys: ['description', 'argument-hint', 'allowed-tools', 'model', 'disable-model-invocation'],
+    tools: 'allowed-tools',
+  },
+  agent: {
+    required: ['name', 'description'],
+    keys: ['name', 'description', 'tools', 'model', 'color'],
+    tools: 'tools',
+  },
+};
+
+// .golem/ paths golem itself creates; a trailing / covers everything inside
+const GOLEM_ARTIFACTS = [
+  'state.json', 'state.lock', 'config.json', 'AGENTS.md', 'manifest.json', 'events.jsonl',
+  'discussions/', 'specs/', 'plans/current.md', 'logs/', 'runs/', 'worktrees/',
+];
+
+// A project .golem/ path; ~/.golem and $HOME/.golem are the install, not the project
+const ARTIFACT_REF = /(?<![\w~/.}-])\.golem\/([\w.*-]+(?:\/[\w.*-]*)*)/g;
+const WRITES = /\b(writes?|written|creates?|saves?|appends?|log|generates?|output)\b|>>?\s*["'`]?\.golem\//i;
+
+/**
+ * Template files under the given paths
+ * @param {string[]} paths - Files, or directories searched for commands/ and agents/; missing paths are skipped
+ * @returns {object[]} [{file, kind}] — kind is "agent" in an agents directory, else "command"
+ */
+function findTemplates(paths) {
+  const found = [];
+  const walk = dir => {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (!['node_modules', '.git'].includes(entry.name)) walk(full);
+      } else if (entry.name.endsWith('.md')) {
+        const parent = path.basename(dir);
+        if (parent === 'agents') found.push({ file: full, kind: 'agent' });
+        else if (parent === 'commands') found.push({ file: full, kind: 'command' });
+      }
+    }
+  };
+  for (const p of paths) {
+    if (!fs.existsSync(p)) continue;
+    if (fs.statSync(p).isDirectory()) walk(p);
+    else found.push({ file: p, kind: path.basename(path.dirname(p)) === 'agents' ? 'agent' : 'command' });
+  }
+  return found;
+}
+
+/**
+ * Every .golem/ path a template mentions
+ * @param {string} content - File contents
+ * @returns {object[]} [{path, line, writes}] — writes when the line writes to it
+ */
+function artifactRefs(content) {
+  const refs = [];
+  content.split('\n').forEach((text, i) => {
+    for (const match of text.matchAll(ARTIFACT_REF)) {
+      const ref = match[1].replace(/\.+$/, '');
+      if (!ref || ref.includes('*')) continue;
+      refs.push({ path: ref, line: i + 1, writes: WRITES.test(text) });
+    }
+  });
+  return refs;
+}
+
+/**
+ * Whether a .golem/ path is covered by one that gets written
+ * @param {string} produced - Written path; a trailing / or - makes it a prefix
+ * @param {string} ref - Path under .golem/
+ * @returns {boolean}
+ */
+function covers(produced, ref) {
+  if (ref === produced) return true;
+  if (/[/-]$/.test(produced) && ref.startsWith(produced)) return true;
+  // A directory that holds something written: .golem/logs for logs/build-
+  return produced.startsWith(ref.endsWith('/') ? ref : `${ref}/`);
+}
+
+/**
+ * Line of a top-level frontmatter key
+ * @param {string} content - File contents
+ * @param {string} key
+ * @returns {number} File line number, or 1 when not found
+ */
+function keyLine(content, key) {
+  const index = content.split('\n').findIndex((text, i) => i > 0 && text.startsWith(`${key}:`));
+  return index === -1 ? 1 : index + 1;
+}
+
+/**
+ * Frontmatter and argument checks for one template
+ * @param {string} content - File contents
+ * @param {string} kind - "command" or "agent"
+ * @returns {object[]} [{level, line, message}]
+ */
+function lintTemplate(content, kind) {
+  const issues = [];
+  const error = (line, message) => issues.push({ level: 'error', line, message });
+  const warn = (line, message) => issues.push({ level: 'warning', line, message });
+  const spec = KINDS[kind];
+  const { data, body, present, error: parseError } = parseFrontmatter(content);
+
+  if (!present) {
+    error(1, `No frontmatter; a ${kind} needs ${spec.required.join(' and ')}`);
+    return issues;
+  }
+  if (parseError) {
+    error(parseError.line || 1, `Invalid frontmatter: ${parseError.message.replace(/^line \d+: /, '')}`);
+    return issues;
+  }
+
+  for (const key of spec.required) {
+    if (data[key] === undefined || data[key] === null || data[key] === '') error(1, `Missing required key "${key}"`);
+  }
+  for (const key of Object.keys(data)) {
+    if (!spec.keys.includes(key)) warn(keyLine(content, key), `Unknown ${kind} key "${key}" (known: ${spec.keys.join(', ')})`);
+  }
+
+  for (const tool of toolList(data[spec.tools])) {
+    const name = tool.replace(/\(.*$/, '').trim();
+    if (!KNOWN_TOOLS.includes(name) && !name.startsWith('mcp__')) {
+      error(keyLine(content, spec.tools), `Unknown tool "${name}" in ${spec.tools}`);
+    }
+  }
+
+  if (kind === 'command') {
+    const raw = data['argument-hint'];
+    const hint = hintText(raw);
+    if (Array.isArray(raw)) warn(keyLine(content, 'argument-hint'), `argument-hint reads as a YAML list; quote it: "${hint}"`);
+    // $1..$9 count outside code blocks, where they are usually awk or shell
+    const prose = body.replace(/^```[\s\S]*?^```/gm, '');
+    const usesArguments = /\$ARGUMENTS\b/.test(body) || /\$[1-9]\b/.test(prose);
+    if (hint && !usesArguments) {
+      error(keyLine(content, 'argument-hint'), `argument-hint is "${hint}" but the command never uses $ARGUMENTS`);
+    } else if (!hint && usesArguments) {
+      error(1, 'Uses $ARGUMENTS but declares no argument-hint');
+    }
+  }
+  return issues;
+}
+
+/**
+ * Lint templates, checking .golem/ reads against what golem and the templates write
+ * @param {object[]} templates - From findTemplates()
+ * @param {object} [options] - {producers: more [{file}] whose writes count, e.g. the shipped templates}
+ * @returns {object[]} [{file, kind, issues: [{level, line, message}]}]
+ */
+function lintTemplates(templates, { producers = [] } = {}) {
+  const read = file => {
+    try {
+      return fs.readFileSync(file, 'utf-8');
+    } catch {
+      return null;
+    }
+  };
+  const contents = new Map(templates.map(t => [t.file, read(t.file)]));
+
+  const produced = [...GOLEM_ARTIFACTS];
+  for (const file of new Set([...templates.map(t => t.file), ...producers.map(p => p.file)])) {
+    const content = contents.has(file) ? contents.get(file) : read(file);
+    if (content === null) continue;
+    for (const ref of artifactRefs(content)) {
+      if (ref.writes) produced.push(ref.path);
+    }
+  }
+
+  return templates.map(({ file, kind }) => {
+    const content = contents.get(file);
+    if (content === null) return { file, kind, issues: [{ level: 'error', line: 0, message: 'Cannot read file' }] };
+    const issues = lintTemplate(content, kind);
+    for (const ref of artifactRefs(content)) {
+      if (!produced.some(p => covers(p, ref.path))) {
+        issues.push({ level: 'error', line: ref.line, message: `Reads .golem/${ref.path}, which no golem command or template writes` });
+      }
+    }
+    issues.sort((a, b) => a.line - b.line);
+    return { file, kind, issues };
+  });
+}
+
+module.exports = {
+  KNOWN_TOOLS,
+  GOLEM_ARTIFACTS,
+  findTemplates,
+  artifactRefs,
+  lintTemplate,
+  lintTemplates,
+};
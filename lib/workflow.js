@@ -0,0 +1,138 @@
+// lib/workflow.js — Phase state machine for the workflow commands
+//
+//   initialized → discussed → specced → planned → building ⇄ blocked → complete → released
+//
+// Each workflow command declares the phases it may start from and the artifact
+// the previous step must have produced. The slash commands advance the phase
+// themselves when they finish; golem moves into "building" when build/resume
+// start, and into "released" when a release run succeeds. golem reset returns
+// any phase to "initialized".
+
+const fs = require('fs');
+const path = require('path');
+const { PHASES } = require('./state.js');
+
+const TRANSITIONS = {
+  initialized: ['discussed'],
+  discussed: ['discussed', 'specced'],
+  specced: ['discussed', 'specced', 'planned'],
+  planned: ['discussed', 'specced', 'planned', 'building'],
+  building: ['blocked', 'complete'],
+  blocked: ['building'],
+  complete: ['discussed', 'building', 'released'],
+  released: ['discussed'],
+};
+
+/**
+ * Whether a directory holds at least one markdown file
+ * @param {string} dir
+ * @returns {boolean}
+ */
+function hasMarkdown(dir) {
+  try {
+    return fs.readdirSync(dir).some(f => f.endsWith('.md'));
+  } catch {
+    return false;
+  }
+}
+
+const GATES = {
+  discuss: {
+    from: ['initialized', 'discussed', 'specced', 'planned', 'complete', 'released'],
+    why: 'a build is in progress — finish it, or run: golem reset',
+  },
+  spec: {
+    from: ['discussed', 'specced'],
+    after: 'discuss',
+    artifact: { describe: '.golem/discussions/*.md', exists: cwd => hasMarkdown(path.join(cwd, '.golem', 'discussions')) },
+  },
+  plan: {
+    from: ['specced', 'planned'],
+    after: 'spec',
+    artifact: { describe: '.golem/specs/*.md', exists: cwd => hasMarkdown(path.join(cwd, '.golem', 'specs')) },
+  },
+  build: {
+    from: ['planned', 'building', 'complete'],
+    after: 'plan',
+    artifact: { describe: '.golem/plans/current.md', exists: cwd => fs.existsSync(path.join(cwd, '.golem', 'plans', 'current.md')) },
+    enter: 'building',
+  },
+  resume: {
+    from: ['building', 'blocked'],
+    after: 'build',
+    artifact: { describe: '.golem/plans/current.md', exists: cwd => fs.existsSync(path.join(cwd, '.golem', 'plans', 'current.md')) },
+    enter: 'building',
+  },
+  release: {
+    from: ['complete'],
+    after: 'build',
+    success: 'released',
+  },
+};
+
+/**
+ * Whether the phase may move from one value to another
+ * @param {string|null} from - Current phase
+ * @param {string} to - Next phase
+ * @returns {boolean}
+ */
+function canTransition(from, to) {
+  if (to === 'initialized') return true;
+  return Boolean(TRANSITIONS[from] && TRANSITIONS[from].includes(to));
+}
+
+/**
+ * Decide whether a workflow command may run now
+ * @param {string} command - Workflow command name (discuss, spec, plan, build, resume, release)
+ * @param {object} options - {phase} from state.json (null when missing), {cwd}
+ * @returns {object} {ok: true} or {ok: false, message, context, suggestion}
+ */
+function checkGate(command, { phase, cwd }) {
+  const gate = GATES[command];
+  if (!gate) return { ok: true };
+
+  if (phase === null || phase === undefined) {
+    return {
+      ok: false,
+      message: `golem ${command} needs an initialized project`,
+      context: { expected: '.golem/state.json' },
+      suggestion: 'Run: golem init',
+    };
+  }
+  if (!PHASES.includes(phase)) {
+    return {
+      ok: false,
+      message: `Unknown phase "${phase}" in .golem/state.json`,
+      context: { phases: PHASES.join(' → ') },
+      suggestion: 'Run: golem state validate',
+    };
+  }
+
+  if (!gate.from.includes(phase)) {
+    const why = gate.why || `it runs after golem ${gate.after} (needs phase ${gate.from.map(p => `"${p}"`).join(' or ')})`;
+    return {
+      ok: false,
+      message: `Cannot run golem ${command} in phase "${phase}": ${why}`,
+      context: { phase, allowed: gate.from.join(', ') },
+      suggestion: `${gate.after ? `Run: golem ${gate.after} first` : 'Run: golem status'}, or pass --force to override`,
+    };
+  }
+
+  if (gate.artifact && !gate.artifact.exists(cwd)) {
+    return {
+      ok: false,
+      message: `golem ${command} needs ${gate.artifact.describe}, which golem ${gate.after} produces`,
+      context: { phase, missing: gate.artifact.describe },
+      suggestion: `Run: golem ${gate.after}, or pass --force to override`,
+    };
+  }
+
+  return { ok: true };
+}
+
+module.exports = {
+  TRANSITIONS,
+  GATES,
+  canTransition,
+  checkGate,
+};
@@ -0,0 +1,185 @@
+// lib/worktree.js — Git worktrees that golem can build in
+//
+// Worktrees live in .golem/worktrees/<name> on a branch of their own. .golem/
+// and .claude/ are usually gitignored, so a new worktree has neither: golem
+// copies .claude/ into it and gives it a .golem/ of its own. A task worktree
+// (golem build --parallel) gets the plan, specs, config and state, so the
+// task builds there as it would in the main tree. A feature worktree (golem
+// worktree new) gets the config and a fresh state, for a mission that
+// neither reads nor writes the main tree's. Runs, logs and events start empty.
+// Worktrees are only created when git ignores .golem/worktrees/; otherwise
+// git status and git add -A in the main checkout would pick them up.
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const stateLib = require('./state.js');
+
+// What a worktree's .golem/ starts with
+const SEEDED = ['plans', 'specs', 'discussions', 'config.json', 'state.json', 'AGENTS.md'];
+const SEEDED_FRESH = ['config.json', 'AGENTS.md'];
+
+/**
+ * Directory holding golem's worktrees
+ * @param {string} cwd - Project root
+ * @returns {string}
+ */
+function getWorktreesDir(cwd) {
+  return path.join(cwd, '.golem', 'worktrees');
+}
+
+/**
+ * Run git, throwing its stderr on failure
+ * @param {string} cwd
+ * @param {string[]} args
+ * @returns {string} Trimmed stdout
+ * @throws {Error}
+ */
+function git(cwd, args) {
+  const result = spawnSync('git', args, { cwd, stdio: 'pipe', encoding: 'utf-8' });
+  if (result.status !== 0) {
+    throw new Error((result.stderr || '').trim() || `git ${args[0]} failed`);
+  }
+  return result.stdout.trim();
+}
+
+/**
+ * Copy .claude/ and the seeded parts of .golem/ into a worktree, skipping what git already checked out
+ * @param {string} cwd - Project root
+ * @param {string} dir - Worktree directory
+ * @param {object} [options] - {fresh}: start a new state instead of copying plan, specs and state
+ */
+function seedWorktree(cwd, dir, { fresh = false } = {}) {
+  const claude = path.join(cwd, '.claude');
+  if (fs.existsSync(claude)) {
+    fs.cpSync(claude, path.join(dir, '.claude'), { recursive: true, force: false, errorOnExist: false });
+  }
+  fs.mkdirSync(path.join(dir, '.golem'), { recursive: true });
+  for (const entry of fresh ? SEEDED_FRESH : SEEDED) {
+    const from = path.join(cwd, '.golem', entry);
+    if (fs.existsSync(from)) fs.cpSync(from, path.join(dir, '.golem', entry), { recursive: true });
+  }
+  if (fresh) {
+    for (const sub of ['logs', 'plans']) fs.mkdirSync(path.join(dir, '.golem', sub), { recursive: true });
+    stateLib.writeState(dir, stateLib.createState());
+  }
+}
+
+/**
+ * Whether git ignores the worktrees directory (.gitignore, .git/info/exclude or core.excludesFile)
+ * @param {string} cwd - Project root
+ * @returns {boolean}
+ */
+function isWorktreesDirIgnored(cwd) {
+  return spawnSync('git', ['check-ignore', '-q', path.join('.golem', 'worktrees') + '/'], { cwd, stdio: 'pipe' }).status === 0;
+}
+
+/**
+ * Create a worktree on a new branch from HEAD and seed it
+ * @param {string} cwd - Project root (a git repository with at least one commit)
+ * @param {object} options - {name, branch, fresh} — see seedWorktree
+ * @returns {object} {name, branch, path, base} — base is the commit it started from
+ * @throws {Error} When git does not ignore .golem/worktrees/, the directory or branch already exists, or git fails
+ */
+function createWorktree(cwd, { name, branch, fresh = false }) {
+  const dir = path.join(getWorktreesDir(cwd), name);
+  if (fs.existsSync(dir)) throw new Error(`Worktree ${path.relative(cwd, dir)} already exists`);
+  const base = git(cwd, ['rev-parse', 'HEAD']);
+  if (!isWorktreesDirIgnored(cwd)) throw new Error('git does not ignore .golem/worktrees/, so worktrees there would show up in git status and git add -A');
+  git(cwd, ['worktree', 'add', '-q', '-b', branch, dir, base]);
+  seedWorktree(cwd, dir, { fresh });
+  return { name, branch, path: dir, base };
+}
+
+/**
+ * Worktrees of the repository, from git worktree list
+ * @param {string} cwd - Any directory in the repository
+ * @returns {object[]} [{path, head, branch, main, golem}] — main is the first (primary)
+ *   checkout, golem whether it has a .golem/state.json; [] outside a repository
+ */
+function listWorktrees(cwd) {
+  let out;
+  try {
+    out = git(cwd, ['worktree', 'list', '--porcelain']);
+  } catch {
+    return [];
+  }
+  const worktrees = [];
+  for (const block of out.split(/\n\s*\n/)) {
+    const entry = { path: null, head: null, branch: null };
+    for (const line of block.split('\n')) {
+      const [key, ...rest] = line.split(' ');
+      const value = rest.join(' ');
+      if (key === 'worktree') entry.path = value;
+      if (key === 'HEAD') entry.head = value;
+      if (key === 'branch') entry.branch = value.replace(/^refs\/heads\//, '');
+    }
+    if (!entry.path) continue;
+    worktrees.push({ ...entry, main: worktrees.length === 0, golem: fs.existsSync(stateLib.getStatePath(entry.path)) });
+  }
+  return worktrees;
+}
+
+/**
+ * Find a golem worktree by name (its directory under .golem/worktrees)
+ * @param {string} cwd - Project root
+ * @param {string} name
+ * @returns {object|null} Entry from listWorktrees
+ */
+function findWorktree(cwd, name) {
+  const dir = path.join(getWorktreesDir(cwd), name);
+  return listWorktrees(cwd).find(wt => safeRealpath(wt.path) === safeRealpath(dir)) || null;
+}
+
+/**
+ * realpath that returns the input for paths that do not exist
+ * @param {string} p
+ * @returns {string}
+ */
+function safeRealpath(p) {
+  try {
+    return fs.realpathSync.native(p);
+  } catch {
+    return p;
+  }
+}
+
+/**
+ * Remove a worktree; its branch is kept
+ * @param {string} cwd - Project root
+ * @param {string} dir - Worktree directory
+ * @param {object} [options] - {force}: remove even with uncommitted changes
+ * @throws {Error} When git refuses
+ */
+function removeWorktree(cwd, dir, { force = false } = {}) {
+  git(cwd, ['worktree', 'remove', ...(force ? ['--force'] : []), dir]);
+}
+
+/**
+ * Commits on a branch that are not on another ref
+ * @param {string} cwd - Project root
+ * @param {string} base - Commit or ref
+ * @param {string} branch
+ * @returns {number}
+ */
+function commitsAhead(cwd, base, branch) {
+  try {
+    return Number(git(cwd, ['rev-list', '--count', `${base}..${branch}`]));
+  } catch {
+    return 0;
+  }
+}
+
+module.exports = {
+  SEEDED,
+  SEEDED_FRESH,
+  getWorktreesDir,
+  isWorktreesDirIgnored,
+  seedWorktree,
+  createWorktree,
+  listWorktrees,
+  findWorktree,
+  safeRealpath,
+  removeWorktree,
+  commitsAhead,
+};
@@ -0,0 +1,169 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { spawnSync } = require('child_process');
+
+const auto = require('../lib/auto.js');
+const stateLib = require('../lib/state.js');
+
+const PKG_ROOT = path.resolve(__dirname, '..');
+const GOLEM_BIN = path.join(PKG_ROOT, 'bin', 'golem');
+
+const { CLAUDECODE: _cc, GOLEM_STATE_LOCK: _lock, ...HUMAN_ENV } = process.env;
+
+// Stub claude: does what each slash command would, unless STUB_SKIP names it
+const STUB_CLAUDE = `#!/usr/bin/env node
+const fs = require('fs');
+const step = process.argv[3].replace('/golem-', '').split(' ')[0];
+console.log('claude ' + process.argv[3].replace('/golem-', ''));
+if (process.env.STUB_EXIT === step) process.exit(3);
+if (process.env.STUB_SKIP === step) process.exit(0);
+const file = '.golem/state.json';
+const state = JSON.parse(fs.readFileSync(file, 'utf-8'));
+if (process.env.STUB_BLOCK === step) {
+  fs.writeFileSync(file, JSON.stringify({ ...state, phase: 'blocked' }));
+  process.exit(0);
+}
+const phases = { spec: 'specced', plan: 'planned', build: 'complete', resume: 'complete' };
+if (step === 'spec') {
+  fs.mkdirSync('.golem/specs', { recursive: true });
+  fs.writeFileSync('.golem/specs/spec-' + Date.now() + '.md', '# spec');
+}
+if (step === 'plan') {
+  fs.mkdirSync('.golem/plans', { recursive: true });
+  fs.writeFileSync('.golem/plans/current.md', '# plan ' + Date.now());
+}
+if (phases[step]) fs.writeFileSync(file, JSON.stringify({ ...state, phase: phases[step] }));
+`;
+
+describe('auto pipeline', () => {
+  let tmp;
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'golem-auto-test-'));
+    fs.mkdirSync(path.join(tmp, '.golem'));
+  });
+  afterEach(() => { fs.rmSync(tmp, { recursive: true, force: true }); });
+
+  it('selects a slice of the pipeline', () => {
+    assert.deepStrictEqual(auto.selectSteps('spec', 'build'), ['spec', 'plan', 'build']);
+    assert.deepStrictEqual(auto.selectSteps('release', 'release'), ['release']);
+    assert.throws(() => auto.selectSteps('build', 'spec'), /--to spec comes before --from build/);
+    assert.throws(() => auto.selectSteps('discuss', 'build'), /Unknown step "discuss"/);
+  });
+
+  it('starts from the step the current phase leads into', () => {
+    assert.strictEqual(auto.defaultStart('discussed'), 'spec');
+    assert.strictEqual(auto.defaultStart('blocked'), 'build');
+    assert.strictEqual(auto.commandFor('build', 'blocked'), 'resume');
+    assert.strictEqual(auto.commandFor('build', 'building'), 'build');
+    assert.strictEqual(auto.commandFor('plan', 'blocked'), 'plan');
+    assert.strictEqual(auto.defaultStart('complete'), 'release');
+    assert.strictEqual(auto.defaultStart('initialized'), null);
+    assert.strictEqual(auto.defaultStart('released'), null);
+  });
+
+  it('requires a spec written during the step', () => {
+    const specs = path.join(tmp, '.golem', 'specs');
+    fs.mkdirSync(specs);
+    fs.writeFileSync(path.join(specs, 'spec-old.md'), '# old');
+    const before = auto.snapshot(tmp);
+    assert.deepStrictEqual(auto.checkpoint('spec', tmp, before), { ok: false, detail: 'no new spec in .golem/specs/' });
+    fs.writeFileSync(path.join(specs, 'spec-new.md'), '# new');
+    assert.deepStrictEqual(auto.checkpoint('spec', tmp, before), { ok: true, detail: '.golem/specs/spec-new.md' });
+  });
+
+  it('checks build and release by phase', () => {
+    stateLib.writeState(tmp, { ...stateLib.createState(), phase: 'building' });
+    assert.deepStrictEqual(auto.checkpoint('build', tmp, auto.snapshot(tmp)), { ok: false, detail: 'phase is "building", expected "complete"' });
+    stateLib.writeState(tmp, { ...stateLib.createState(), phase: 'complete' });
+    assert.strictEqual(auto.checkpoint('build', tmp, auto.snapshot(tmp)).ok, true);
+    assert.strictEqual(auto.checkpoint('release', tmp, auto.snapshot(tmp)).ok, false);
+  });
+});
+
+describe('golem auto', () => {
+  let tmp, binDir;
+
+  function runGolem(args, env = {}) {
+    return spawnSync(process.execPath, [GOLEM_BIN, ...args], {
+      cwd: tmp,
+      env: { ...HUMAN_ENV, HOME: tmp, NO_COLOR: '1', PATH: `${binDir}${path.delimiter}${process.env.PATH}`, ...env },
+      encoding: 'utf-8',
+      timeout: 20000,
+    });
+  }
+
+  const phase = () => stateLib.readState(tmp).state.phase;
+
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'golem-auto-cli-test-'));
+    binDir = path.join(tmp, 'bin');
+    fs.mkdirSync(binDir);
+    fs.writeFileSync(path.join(binDir, 'claude'), STUB_CLAUDE, { mode: 0o755 });
+    fs.mkdirSync(path.join(tmp, '.golem', 'discussions'), { recursive: true });
+    fs.writeFileSync(path.join(tmp, '.golem', 'discussions', 'auth.md'), '# auth');
+    stateLib.writeState(tmp, { ...stateLib.createState(), phase: 'discussed' });
+  });
+  afterEach(() => { fs.rmSync(tmp, { recursive: true, force: true }); });
+
+  it('runs spec through build, checking each step', () => {
+    const result = runGolem(['auto', '--to', 'build']);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.deepStrictEqual(result.stdout.match(/^claude \w+$/gm), ['claude spec', 'claude plan', 'claude build']);
+    assert.match(result.stdout, /✓ plan\s+\.golem\/plans\/current\.md/);
+    assert.strictEqual(phase(), 'complete');
+  });
+
+  it('runs through release by default', () => {
+    const result = runGolem(['auto']);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.strictEqual(phase(), 'released');
+  });
+
+  it('stops at the first failed checkpoint with a summary and a restart command', () => {
+    const result = runGolem(['auto', '--to', 'build'], { STUB_SKIP: 'plan' });
+    assert.strictEqual(result.status, 1);
+    assert.doesNotMatch(result.stdout, /claude build/);
+    assert.match(result.stdout, /✗ plan\s+\.golem\/plans\/current\.md was not written/);
+    assert.match(result.stdout, /· build\s+not run/);
+    assert.match(result.stderr, /golem auto stopped at plan/);
+    assert.match(result.stderr, /golem auto --from plan --to build/);
+  });
+
+  it('stops when a step exits non-zero, and restarts from it', () => {
+    const failed = runGolem(['auto'], { STUB_EXIT: 'build' });
+    assert.strictEqual(failed.status, 1);
+    assert.match(failed.stdout, /✗ build\s+exited with status 3/);
+    assert.strictEqual(phase(), 'building');
+
+    const restarted = runGolem(['auto', '--from', 'build']);
+    assert.strictEqual(restarted.status, 0, restarted.stderr);
+    assert.deepStrictEqual(restarted.stdout.match(/^claude \w+$/gm), ['claude build', 'claude release']);
+  });
+
+  it('restarts a blocked build with golem resume', () => {
+    const blocked = runGolem(['auto'], { STUB_BLOCK: 'build' });
+    assert.strictEqual(blocked.status, 1);
+    assert.match(blocked.stdout, /✗ build\s+phase is "blocked", expected "complete"/);
+    assert.match(blocked.stderr, /golem auto --from build \(the build is blocked, so this runs golem resume\)/);
+    assert.strictEqual(phase(), 'blocked');
+
+    for (const args of [['auto', '--from', 'build'], ['auto']]) {
+      stateLib.writeState(tmp, { ...stateLib.readState(tmp).state, phase: 'blocked' });
+      const restarted = runGolem(args);
+      assert.strictEqual(restarted.status, 0, restarted.stderr);
+      assert.match(restarted.stdout, /▶ golem resume/);
+      assert.deepStrictEqual(restarted.stdout.match(/^claude .+$/gm), ['claude resume --yes', 'claude release']);
+      assert.strictEqual(phase(), 'released');
+    }
+  });
+
+  it('refuses to start without a discussion to build on', () => {
+    stateLib.writeState(tmp, stateLib.createState());
+    const result = runGolem(['auto']);
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /Nothing for golem auto to run in phase "initialized"/);
+  });
+});
@@ -0,0 +1,107 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { spawnSync } = require('child_process');
+
+const budget = require('../lib/budget.js');
+const config = require('../lib/config.js');
+const runs = require('../lib/runs.js');
+const stateLib = require('../lib/state.js');
+
+const PKG_ROOT = path.resolve(__dirname, '..');
+const GOLEM_BIN = path.join(PKG_ROOT, 'bin', 'golem');
+
+const { CLAUDECODE: _cc, GOLEM_STATE_LOCK: _lock, ...HUMAN_ENV } = process.env;
+
+describe('time budgets', () => {
+  const defaults = config.resolveConfig({});
+
+  it('reads per-command timeouts and retries only retryable commands', () => {
+    assert.deepStrictEqual(budget.budgetFor('resume', defaults), { timeoutMs: 480 * 60000, maxRetries: 2, backoffMs: 30000 });
+    assert.strictEqual(budget.budgetFor('build', defaults).maxRetries, 0);
+    assert.strictEqual(budget.budgetFor('sweep', defaults).timeoutMs, 0);
+    assert.strictEqual(budget.budgetFor('spec', { ...defaults, specTimeoutMinutes: 0 }).timeoutMs, 0);
+  });
+
+  it('doubles the backoff after each retry', () => {
+    assert.deepStrictEqual([1, 2, 3].map(n => budget.backoffDelay(n, 1000)), [1000, 2000, 4000]);
+  });
+
+  it('lets the recorder stop claude before its own timeout fires', () => {
+    assert.ok(budget.recorderTimeout(60000) > 60000 + budget.KILL_GRACE_MS);
+    assert.strictEqual(budget.recorderTimeout(60000), 60000 + budget.KILL_GRACE_MS + budget.RECORDER_MARGIN_MS);
+  });
+
+  it('classifies outcomes', () => {
+    assert.strictEqual(budget.outcomeOf(0, false), 'succeeded');
+    assert.strictEqual(budget.outcomeOf(1, false), 'failed');
+    assert.strictEqual(budget.outcomeOf(null, true), 'timed_out');
+  });
+
+  it('validates last_run in state', () => {
+    const state = { ...stateLib.createState(), last_run: { command: 'golem build', outcome: 'killed', attempts: 1 } };
+    assert.deepStrictEqual(stateLib.validateState(state).errors, ['last_run.outcome must be one of: succeeded, failed, timed_out']);
+  });
+});
+
+describe('headless runs with budgets', () => {
+  let tmp, binDir;
+
+  function runGolem(args, env = {}) {
+    return spawnSync(process.execPath, [GOLEM_BIN, ...args], {
+      cwd: tmp,
+      env: { ...HUMAN_ENV, HOME: tmp, NO_COLOR: '1', PATH: `${binDir}${path.delimiter}${process.env.PATH}`, GOLEM_RETRY_BACKOFF_SECONDS: '0', ...env },
+      encoding: 'utf-8',
+      timeout: 20000,
+    });
+  }
+
+  const stub = body => fs.writeFileSync(path.join(binDir, 'claude'), `#!/bin/sh\n${body}\n`, { mode: 0o755 });
+  const lastRun = () => stateLib.readState(tmp).state.last_run;
+
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'golem-budget-test-'));
+    binDir = path.join(tmp, 'bin');
+    fs.mkdirSync(binDir);
+    fs.mkdirSync(path.join(tmp, '.golem', 'plans'), { recursive: true });
+    fs.writeFileSync(path.join(tmp, '.golem', 'plans', 'current.md'), '# plan');
+    stateLib.writeState(tmp, { ...stateLib.createState(), phase: 'building' });
+    // Fails until it has been run STUB_PASS_ON times (never, if unset)
+    stub('echo x >> attempts\n[ "$(wc -l < attempts)" -ge "${STUB_PASS_ON:-99}" ]');
+  });
+  afterEach(() => { fs.rmSync(tmp, { recursive: true, force: true }); });
+
+  it('retries golem resume until it succeeds', () => {
+    const result = runGolem(['resume'], { STUB_PASS_ON: '2' });
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.match(result.stderr, /golem resume exited with status 1; retrying in 0s \(retry 1 of 2\)/);
+    assert.deepStrictEqual(runs.listRuns(tmp).map(r => [r.attempt, r.exit_status]), [[2, 0], [1, 1]]);
+    assert.deepStrictEqual([lastRun().outcome, lastRun().attempts], ['succeeded', 2]);
+  });
+
+  it('gives up after maxRetries', () => {
+    const result = runGolem(['resume'], { GOLEM_MAX_RETRIES: '1' });
+    assert.strictEqual(result.status, 1);
+    assert.deepStrictEqual([lastRun().command, lastRun().outcome, lastRun().attempts], ['golem resume', 'failed', 2]);
+  });
+
+  it('does not retry golem build', () => {
+    assert.strictEqual(runGolem(['build']).status, 1);
+    assert.strictEqual(lastRun().attempts, 1);
+  });
+
+  it('kills a run that exceeds its budget and records it as cut off', () => {
+    stub('echo started\nexec sleep 5');
+    const started = Date.now();
+    const result = runGolem(['build'], { GOLEM_BUILD_TIMEOUT_MINUTES: '0.01' });
+    assert.ok(Date.now() - started < 4000, 'should not wait for claude to finish');
+    assert.strictEqual(result.status, budget.TIMED_OUT_STATUS);
+    assert.match(result.stderr, /golem build ran out of time after 1 attempt/);
+    assert.strictEqual(lastRun().outcome, 'timed_out');
+    const [run] = runs.listRuns(tmp);
+    assert.strictEqual(run.timed_out, true);
+    assert.match(fs.readFileSync(path.join(runs.getRunsDir(tmp), run.id, 'stderr.log'), 'utf-8'), /time budget of 1s exhausted/);
+  });
+});
@@ -0,0 +1,112 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { spawnSync } = require('child_process');
+
+const claudeLib = require('../lib/claude.js');
+const config = require('../lib/config.js');
+const plan = require('../lib/plan.js');
+const runs = require('../lib/runs.js');
+const stateLib = require('../lib/state.js');
+
+const PKG_ROOT = path.resolve(__dirname, '..');
+const GOLEM_BIN = path.join(PKG_ROOT, 'bin', 'golem');
+const FIXTURES = path.join(__dirname, 'fixtures', 'claude-stub');
+
+const { CLAUDECODE: _cc, GOLEM_STATE_LOCK: _lock, ...HUMAN_ENV } = process.env;
+
+describe('claude executable', () => {
+  const defaults = config.resolveConfig({});
+  let tmp;
+  beforeEach(() => { tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'golem-claude-test-')); });
+  afterEach(() => { fs.rmSync(tmp, { recursive: true, force: true }); });
+
+  it('runs claude from PATH by default, or the configured command', () => {
+    assert.deepStrictEqual(claudeLib.resolveClaude(defaults), { bin: 'claude', command: 'claude', args: [], env: {}, stub: false });
+    assert.strictEqual(claudeLib.resolveClaude({ ...defaults, claudeBin: '/opt/claude' }).command, '/opt/claude');
+
+    const bin = path.join(tmp, 'my-claude');
+    fs.writeFileSync(bin, '#!/bin/sh\n', { mode: 0o755 });
+    assert.strictEqual(claudeLib.isAvailable(claudeLib.resolveClaude({ claudeBin: bin })), true);
+    assert.strictEqual(claudeLib.isAvailable(claudeLib.resolveClaude({ claudeBin: 'my-claude' }), { PATH: tmp }), true);
+    assert.strictEqual(claudeLib.isAvailable(claudeLib.resolveClaude({ claudeBin: 'my-claude' }), { PATH: os.tmpdir() }), false);
+  });
+
+  it('runs the stub through node with its fixture directory', () => {
+    const stub = claudeLib.resolveClaude({ ...defaults, claudeBin: 'stub', stubFixtures: 'fixtures' });
+    assert.deepStrictEqual([stub.command, stub.args], [process.execPath, [claudeLib.STUB_SCRIPT]]);
+    assert.deepStrictEqual(stub.env, { GOLEM_STUB_FIXTURES: path.resolve('fixtures') });
+    assert.strictEqual(claudeLib.isAvailable(stub, { PATH: '' }), true);
+  });
+
+  it('replays files, state, output and exit status', () => {
+    fs.mkdirSync(path.join(tmp, '.golem'));
+    stateLib.writeState(tmp, stateLib.createState());
+    const fixture = path.join(tmp, 'fixture');
+    fs.mkdirSync(path.join(fixture, 'files', 'src'), { recursive: true });
+    fs.writeFileSync(path.join(fixture, 'files', 'src', 'a.js'), 'a');
+    fs.writeFileSync(path.join(fixture, 'state.json'), '{"phase":"discussed"}');
+    fs.writeFileSync(path.join(fixture, 'exit_status'), '3\n');
+    fs.writeFileSync(path.join(fixture, 'stdout.txt'), 'done\n');
+    let printed = '';
+    const status = claudeLib.replayFixture(fixture, tmp, { out: { write: text => { printed += text; } } });
+    assert.deepStrictEqual([status, printed], [3, 'done\n']);
+    assert.strictEqual(fs.readFileSync(path.join(tmp, 'src', 'a.js'), 'utf-8'), 'a');
+    assert.strictEqual(stateLib.readState(tmp).state.phase, 'discussed');
+  });
+
+  it('fails without a fixture for the command', () => {
+    const result = spawnSync(process.execPath, [claudeLib.STUB_SCRIPT, '-p', '/golem-review'], {
+      cwd: tmp, env: { ...HUMAN_ENV, GOLEM_STUB_FIXTURES: FIXTURES }, encoding: 'utf-8',
+    });
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /no fixture for \/golem-review in .*claude-stub/);
+  });
+});
+
+describe('workflow against the stub claude', () => {
+  let tmp;
+
+  function runGolem(args, env = {}) {
+    return spawnSync(process.execPath, [GOLEM_BIN, ...args], {
+      cwd: tmp,
+      env: { ...HUMAN_ENV, HOME: tmp, NO_COLOR: '1', GOLEM_CLAUDE_BIN: 'stub', GOLEM_STUB_FIXTURES: FIXTURES, ...env },
+      encoding: 'utf-8',
+      timeout: 30000,
+    });
+  }
+
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'golem-claude-flow-test-'));
+    fs.mkdirSync(path.join(tmp, '.golem'));
+    stateLib.writeState(tmp, stateLib.createState());
+  });
+  afterEach(() => { fs.rmSync(tmp, { recursive: true, force: true }); });
+
+  it('runs discuss through release offline', () => {
+    const discussed = runGolem(['discuss', 'greeting']);
+    assert.strictEqual(discussed.status, 0, discussed.stderr);
+    assert.match(discussed.stdout, /Discussion saved to \.golem\/discussions\/greeting\.md/);
+
+    const auto = runGolem(['auto']);
+    assert.strictEqual(auto.status, 0, auto.stderr + auto.stdout);
+    assert.match(auto.stdout, /TASK-001 completed/);
+    assert.match(auto.stdout, /Released v0\.1\.0/);
+
+    assert.strictEqual(stateLib.readState(tmp).state.phase, 'released');
+    assert.strictEqual(plan.readPlan(plan.getPlanPath(tmp)).tasks[0].status, 'completed');
+    assert.ok(fs.existsSync(path.join(tmp, 'greet.js')));
+    const recorded = runs.listRuns(tmp);
+    assert.deepStrictEqual(recorded.map(r => r.command).sort(), ['golem build', 'golem discuss', 'golem plan', 'golem release', 'golem spec']);
+    assert.ok(recorded.every(r => r.exit_status === 0));
+  });
+
+  it('reports a missing claude executable', () => {
+    const result = runGolem(['discuss', 'greeting'], { GOLEM_CLAUDE_BIN: path.join(tmp, 'nope') });
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /claude CLI not found/);
+    assert.match(result.stderr, /golem config get claudeBin/);
+  });
+});
@@ -380,6 +380,48 @@ describe('cmdUninstall', () => {
     assert.ok(content.includes('alias ll'), 'other content should be preserved');
   });
 
+  it('removes only the settings entries golem recorded adding', () => {
+    const claudeDir = path.join(tmp, '.claude');
+    fs.mkdirSync(claudeDir, { recursive: true });
+    fs.mkdirSync(path.join(tmp, '.golem'), { recursive: true });
+    fs.writeFileSync(path.join(claudeDir, 'settings.json'), JSON.stringify({
+      permissions: { allow: ['Bash(docker:*)', 'Bash(ls:*)'] },
+      env: { MAX_THINKING_TOKENS: '32000', BASH_MAX_TIMEOUT_MS: '600000' },
+      hooks: { PreToolUse: [{ matcher: 'Bash', hooks: [{ type: 'command', command: '~/.golem/hooks/block-destructive.sh' }] }] },
+    }));
+    fs.writeFileSync(path.join(tmp, '.golem', 'settings-owned.json'), JSON.stringify({
+      keys: {},
+      env: { MAX_THINKING_TOKENS: '16000', BASH_MAX_TIMEOUT_MS: '600000' },
+      permissions: { allow: ['Bash(ls:*)'] },
+      hooks: [{ event: 'PreToolUse', matcher: 'Bash', command: '~/.golem/hooks/block-destructive.sh' }],
+    }));
+    cmdUninstall(['--confirm'], { home: tmp });
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(claudeDir, 'settings.json'), 'utf-8')), {
+      permissions: { allow: ['Bash(docker:*)'] },
+      env: { MAX_THINKING_TOKENS: '32000' },
+    });
+  });
+
+  it('keeps the cleaned settings.json over a stale .pre-golem backup', () => {
+    const claudeDir = path.join(tmp, '.claude');
+    fs.mkdirSync(claudeDir, { recursive: true });
+    fs.mkdirSync(path.join(tmp, '.golem'), { recursive: true });
+    fs.writeFileSync(path.join(claudeDir, 'settings.json'), JSON.stringify({
+      model: 'sonnet',
+      permissions: { allow: ['Bash(docker:*)', 'Bash(ls:*)'] },
+    }));
+    fs.writeFileSync(path.join(claudeDir, 'settings.json.pre-golem'), JSON.stringify({ model: 'opus' }));
+    fs.writeFileSync(path.join(tmp, '.golem', 'settings-owned.json'), JSON.stringify({
+      keys: {}, env: {}, permissions: { allow: ['Bash(ls:*)'] }, hooks: [],
+    }));
+    cmdUninstall(['--confirm'], { home: tmp });
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(claudeDir, 'settings.json'), 'utf-8')), {
+      model: 'sonnet',
+      permissions: { allow: ['Bash(docker:*)'] },
+    });
+    assert.ok(!fs.existsSync(path.join(claudeDir, 'settings.json.pre-golem')));
+  });
+
   it('handles -y flag same as --confirm', () => {
     fs.mkdirSync(path.join(tmp, '.golem'), { recursive: true });
     cmdUninstall(['-y'], { home: tmp });
@@ -606,6 +648,12 @@ describe('cmdInit happy path', () => {
     assert.strictEqual(state.tasks_completed, 0);
   });
 
+  it('creates an empty config.json', () => {
+    cmdInit([]);
+    const config = JSON.parse(fs.readFileSync(path.join(process.cwd(), '.golem', 'config.json'), 'utf-8'));
+    assert.deepStrictEqual(config, {});
+  });
+
   it('creates CLAUDE.md with detected project type', () => {
     fs.writeFileSync(path.join(process.cwd(), 'package.json'), '{}');
     cmdInit([]);
@@ -685,6 +733,89 @@ describe('cmdInit happy path', () => {
   });
 });
 
+// ============================================================================
+// cmdInit --update (three-way template refresh)
+// ============================================================================
+
+describe('cmdInit --update', () => {
+  let tmp;
+  let origCwd;
+  let templatesDir;
+  let projectDir;
+
+  beforeEach(() => {
+    tmp = makeTmpDir();
+    origCwd = process.cwd();
+    templatesDir = path.join(tmp, 'templates');
+    fs.mkdirSync(path.join(templatesDir, 'commands'), { recursive: true });
+    fs.mkdirSync(path.join(templatesDir, 'agents'), { recursive: true });
+    fs.writeFileSync(path.join(templatesDir, 'commands', 'golem-build.md'), 'build v1');
+    fs.writeFileSync(path.join(templatesDir, 'commands', 'golem-release.md'), 'release v1');
+    fs.writeFileSync(path.join(templatesDir, 'settings.json'), '{}');
+    process.env.GOLEM_TEMPLATES_DIR = templatesDir;
+    projectDir = path.join(tmp, 'my-project');
+    fs.mkdirSync(projectDir);
+    process.chdir(projectDir);
+  });
+
+  afterEach(() => {
+    delete process.env.GOLEM_TEMPLATES_DIR;
+    process.chdir(origCwd);
+    rmTmpDir(tmp);
+  });
+
+  const read = (rel) => fs.readFileSync(path.join(projectDir, rel), 'utf-8');
+
+  it('records template hashes in .golem/manifest.json', () => {
+    cmdInit([]);
+    const manifest = JSON.parse(read('.golem/manifest.json'));
+    assert.ok(manifest.files['.claude/commands/golem-build.md'].hash);
+    assert.strictEqual(manifest.files['.claude/commands/golem-build.md'].template, path.join('commands', 'golem-build.md'));
+  });
+
+  it('without --update leaves existing files alone', () => {
+    cmdInit([]);
+    fs.writeFileSync(path.join(templatesDir, 'commands', 'golem-build.md'), 'build v2');
+    cmdInit([]);
+    assert.strictEqual(read('.claude/commands/golem-build.md'), 'build v1');
+  });
+
+  it('applies new templates to untouched files', () => {
+    cmdInit([]);
+    fs.writeFileSync(path.join(templatesDir, 'commands', 'golem-build.md'), 'build v2');
+    cmdInit(['--update']);
+    assert.strictEqual(read('.claude/commands/golem-build.md'), 'build v2');
+    assert.ok(!fs.existsSync(path.join(projectDir, '.claude', 'commands', 'golem-build.md.new')));
+  });
+
+  it('writes .new beside locally edited files', () => {
+    cmdInit([]);
+    fs.writeFileSync(path.join(projectDir, '.claude', 'commands', 'golem-release.md'), 'my tweaks');
+    fs.writeFileSync(path.join(templatesDir, 'commands', 'golem-release.md'), 'release v2');
+    cmdInit(['--update']);
+    assert.strictEqual(read('.claude/commands/golem-release.md'), 'my tweaks');
+    assert.strictEqual(read('.claude/commands/golem-release.md.new'), 'release v2');
+  });
+
+  it('installs templates added since the last init', () => {
+    cmdInit([]);
+    fs.writeFileSync(path.join(templatesDir, 'commands', 'golem-sweep.md'), 'sweep');
+    cmdInit(['--update']);
+    assert.strictEqual(read('.claude/commands/golem-sweep.md'), 'sweep');
+  });
+
+  it('removes a stale .new once the local file matches the template', () => {
+    cmdInit([]);
+    const dest = path.join(projectDir, '.claude', 'commands', 'golem-release.md');
+    fs.writeFileSync(dest, 'my tweaks');
+    fs.writeFileSync(path.join(templatesDir, 'commands', 'golem-release.md'), 'release v2');
+    cmdInit(['--update']);
+    fs.copyFileSync(dest + '.new', dest);
+    cmdInit(['--update']);
+    assert.ok(!fs.existsSync(dest + '.new'));
+  });
+});
+
 // ============================================================================
 // cmdDoctor
 // ============================================================================
@@ -0,0 +1,112 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { spawnSync } = require('child_process');
+
+const commands = require('../lib/commands.js');
+const stateLib = require('../lib/state.js');
+
+const PKG_ROOT = path.resolve(__dirname, '..');
+const GOLEM_BIN = path.join(PKG_ROOT, 'bin', 'golem');
+const TEMPLATES = path.join(PKG_ROOT, 'project-scope');
+
+const { CLAUDECODE: _cc, GOLEM_STATE_LOCK: _lock, ...HUMAN_ENV } = process.env;
+
+function writeCommand(dir, name, frontmatter, body = 'Do it: $ARGUMENTS\n') {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, `golem-${name}.md`), `---\n${frontmatter}\n---\n\n${body}`);
+}
+
+describe('slash command discovery', () => {
+  let tmp;
+  beforeEach(() => { tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'golem-commands-test-')); });
+  afterEach(() => { fs.rmSync(tmp, { recursive: true, force: true }); });
+
+  it('reads argument hints', () => {
+    assert.strictEqual(commands.hintText('[path]'), '[path]');
+    assert.strictEqual(commands.hintText(['path']), '[path]');
+    assert.strictEqual(commands.hintText(null), null);
+    assert.strictEqual(commands.argumentRequired('<topic>'), true);
+    assert.strictEqual(commands.argumentRequired('[path]'), false);
+    assert.strictEqual(commands.argumentRequired(null), false);
+    assert.strictEqual(commands.summary('Review it. Now.'), 'Review it.');
+  });
+
+  it('prefers the project copy and falls back to the templates', () => {
+    writeCommand(path.join(tmp, '.claude', 'commands'), 'review', 'description: Project review');
+    writeCommand(path.join(tmp, 'templates', 'commands'), 'review', 'description: Template review');
+    writeCommand(path.join(tmp, 'templates', 'commands'), 'security', 'description: Scan');
+    fs.writeFileSync(path.join(tmp, 'templates', 'commands', 'notes.md'), '# not a command');
+    const found = commands.discoverCommands({ cwd: tmp, templatesDir: path.join(tmp, 'templates') });
+    assert.deepStrictEqual(found.map(c => [c.name, c.description, c.installed]), [
+      ['review', 'Project review', true],
+      ['security', 'Scan', false],
+    ]);
+  });
+
+  it('finds a description for every shipped command', () => {
+    for (const cmd of commands.discoverCommands({ cwd: tmp, templatesDir: TEMPLATES })) {
+      assert.ok(cmd.description, `${path.basename(cmd.file)} has no description`);
+    }
+  });
+});
+
+describe('golem <slash command>', () => {
+  let tmp, binDir;
+
+  function runGolem(args) {
+    return spawnSync(process.execPath, [GOLEM_BIN, ...args], {
+      cwd: tmp,
+      env: { ...HUMAN_ENV, HOME: tmp, NO_COLOR: '1', PATH: `${binDir}${path.delimiter}${process.env.PATH}` },
+      encoding: 'utf-8',
+      timeout: 10000,
+    });
+  }
+
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'golem-commands-cli-test-'));
+    binDir = path.join(tmp, 'bin');
+    fs.mkdirSync(binDir);
+    fs.writeFileSync(path.join(binDir, 'claude'), '#!/bin/sh\necho "claude $2"\n', { mode: 0o755 });
+    fs.mkdirSync(path.join(tmp, '.golem'));
+    stateLib.writeState(tmp, stateLib.createState());
+    const project = path.join(tmp, '.claude', 'commands');
+    writeCommand(project, 'review', 'description: Paranoid review. Read-only.\nargument-hint: "[path]"');
+    writeCommand(project, 'greet', 'description: Greet someone\nargument-hint: <name>');
+    // HOME=tmp, so GOLEM_HOME is tmp/.golem
+    writeCommand(path.join(tmp, '.golem', 'templates', 'commands'), 'security', 'description: Security scan');
+  });
+  afterEach(() => { fs.rmSync(tmp, { recursive: true, force: true }); });
+
+  it('runs a project command headlessly with its arguments', () => {
+    const result = runGolem(['review', 'src/']);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.match(result.stdout, /claude \/golem-review src\//);
+    assert.match(runGolem(['greet', 'Ada']).stdout, /claude \/golem-greet Ada/);
+  });
+
+  it('enforces a required argument from the hint', () => {
+    const result = runGolem(['greet']);
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /Missing required argument for greet command/);
+    assert.match(result.stderr, /Usage: golem greet <name>/);
+  });
+
+  it('points at golem init --update for commands only in the templates', () => {
+    const result = runGolem(['security']);
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /golem-security\.md is not installed in this project/);
+    assert.match(result.stderr, /golem init --update/);
+  });
+
+  it('lists discovered commands in help', () => {
+    const help = runGolem(['help']).stdout;
+    assert.match(help, /Slash commands:/);
+    assert.match(help, /review\s+Paranoid review\. \[path\]/);
+    assert.match(help, /greet\s+Greet someone <name>/);
+    assert.match(help, /security\s+Security scan \(not installed\)/);
+    assert.match(runGolem(['help', 'greet']).stdout, /golem greet <name>\n\s+Greet someone/);
+  });
+});
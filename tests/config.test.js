@@ -0,0 +1,219 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { spawnSync } = require('child_process');
+
+const config = require('../lib/config.js');
+
+const PKG_ROOT = path.resolve(__dirname, '..');
+const GOLEM_BIN = path.join(PKG_ROOT, 'bin', 'golem');
+
+function makeTmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'golem-config-test-'));
+}
+
+function runGolem(args, cwd, env = {}) {
+  return spawnSync(process.execPath, [GOLEM_BIN, ...args], {
+    cwd,
+    env: { ...process.env, GOLEM_HOME: path.join(cwd, '.golem-home'), NO_COLOR: '1', ...env },
+    encoding: 'utf-8',
+    timeout: 10000,
+  });
+}
+
+// ============================================================================
+// Schema helpers
+// ============================================================================
+
+describe('config schema', () => {
+  it('declares type and default for every key', () => {
+    for (const [key, def] of Object.entries(config.SCHEMA)) {
+      assert.ok(def.type, `${key} should have a type`);
+      assert.ok('default' in def, `${key} should have a default`);
+      assert.ok(def.description, `${key} should have a description`);
+    }
+  });
+
+  it('parses booleans from common spellings', () => {
+    assert.deepStrictEqual(config.parseValue('autoCommit', 'false'), { valid: true, value: false });
+    assert.deepStrictEqual(config.parseValue('autoCommit', 'YES'), { valid: true, value: true });
+    assert.strictEqual(config.parseValue('autoCommit', 'maybe').valid, false);
+  });
+
+  it('rejects values outside the allowed list', () => {
+    const result = config.parseValue('model', 'gpt');
+    assert.strictEqual(result.valid, false);
+    assert.ok(result.error.includes('opus'));
+  });
+
+  it('rejects numbers below the minimum', () => {
+    assert.deepStrictEqual(config.parseValue('buildTimeoutMinutes', '90'), { valid: true, value: 90 });
+    assert.strictEqual(config.parseValue('maxRetries', '-1').error, '"maxRetries" must be at least 0, got -1');
+  });
+
+  it('rejects unknown keys with the list of valid keys', () => {
+    const result = config.parseValue('colour', 'red');
+    assert.strictEqual(result.valid, false);
+    assert.ok(result.error.includes('model'));
+  });
+
+  it('validateConfig reports every bad entry', () => {
+    const result = config.validateConfig({ model: 'gpt', autoCommit: 'yes', bogus: 1 });
+    assert.strictEqual(result.valid, false);
+    assert.strictEqual(result.errors.length, 3);
+  });
+
+  it('resolveConfig fills in defaults', () => {
+    const resolved = config.resolveConfig({ model: 'sonnet' });
+    assert.strictEqual(resolved.model, 'sonnet');
+    assert.strictEqual(resolved.autoCommit, true);
+  });
+});
+
+describe('readConfig / writeConfig', () => {
+  let tmp;
+  beforeEach(() => { tmp = makeTmpDir(); });
+  afterEach(() => { fs.rmSync(tmp, { recursive: true, force: true }); });
+
+  it('returns {} when the file is missing', () => {
+    assert.deepStrictEqual(config.readConfig(config.getConfigPath(tmp)), {});
+  });
+
+  it('round-trips through disk', () => {
+    const file = config.getConfigPath(tmp);
+    config.writeConfig(file, { model: 'haiku' });
+    assert.deepStrictEqual(config.readConfig(file), { model: 'haiku' });
+  });
+
+  it('throws on invalid JSON', () => {
+    const file = config.getConfigPath(tmp);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, '{nope');
+    assert.throws(() => config.readConfig(file), /not valid JSON/);
+  });
+});
+
+// ============================================================================
+// Layered resolution
+// ============================================================================
+
+describe('loadLayers / resolveLayers', () => {
+  let tmp, golemHome;
+  beforeEach(() => {
+    tmp = makeTmpDir();
+    golemHome = path.join(tmp, 'home-golem');
+    fs.mkdirSync(golemHome);
+  });
+  afterEach(() => { fs.rmSync(tmp, { recursive: true, force: true }); });
+
+  it('derives env var names from keys', () => {
+    assert.strictEqual(config.envVarName('model'), 'GOLEM_MODEL');
+    assert.strictEqual(config.envVarName('autoCommit'), 'GOLEM_AUTO_COMMIT');
+    assert.strictEqual(config.envVarName('minNodeVersion'), 'GOLEM_MIN_NODE_VERSION');
+  });
+
+  it('applies default < user < project < env precedence', () => {
+    config.writeConfig(config.getUserConfigPath(golemHome), { model: 'haiku', autoCommit: false, minNodeVersion: 20 });
+    config.writeConfig(config.getConfigPath(tmp), { model: 'sonnet' });
+    const layers = config.loadLayers({ cwd: tmp, golemHome, env: { GOLEM_MIN_NODE_VERSION: '22' } });
+    const { values, sources } = config.resolveLayers(layers);
+
+    assert.strictEqual(values.model, 'sonnet');
+    assert.strictEqual(sources.model, 'project');
+    assert.strictEqual(values.autoCommit, false);
+    assert.strictEqual(sources.autoCommit, 'user');
+    assert.strictEqual(values.minNodeVersion, 22);
+    assert.strictEqual(sources.minNodeVersion, 'env');
+    assert.strictEqual(values.simplifyOnBuild, true);
+    assert.strictEqual(sources.simplifyOnBuild, 'default');
+  });
+
+  it('drops invalid entries and reports them', () => {
+    config.writeConfig(config.getConfigPath(tmp), { model: 'gpt', bogus: true });
+    const layers = config.loadLayers({ cwd: tmp, golemHome, env: { GOLEM_AUTO_COMMIT: 'perhaps' } });
+    const { values, errors } = config.resolveLayers(layers);
+    assert.strictEqual(values.model, 'opus');
+    assert.strictEqual(values.autoCommit, true);
+    assert.strictEqual(errors.length, 3);
+  });
+
+  it('explainKey lists every layer and the winner', () => {
+    config.writeConfig(config.getUserConfigPath(golemHome), { model: 'haiku' });
+    const explained = config.explainKey(config.loadLayers({ cwd: tmp, golemHome, env: {} }), 'model');
+    assert.strictEqual(explained.value, 'haiku');
+    assert.strictEqual(explained.source, 'user');
+    assert.deepStrictEqual(explained.layers.map(l => l.name), config.LAYERS);
+    assert.strictEqual(explained.layers.find(l => l.name === 'env').source, 'GOLEM_MODEL');
+  });
+});
+
+// ============================================================================
+// golem config CLI
+// ============================================================================
+
+describe('golem config', () => {
+  let tmp;
+  beforeEach(() => {
+    tmp = makeTmpDir();
+    fs.mkdirSync(path.join(tmp, '.golem'));
+  });
+  afterEach(() => { fs.rmSync(tmp, { recursive: true, force: true }); });
+
+  it('set writes a typed value and get reads it back', () => {
+    assert.strictEqual(runGolem(['config', 'set', 'autoCommit', 'false'], tmp).status, 0);
+    const saved = JSON.parse(fs.readFileSync(path.join(tmp, '.golem', 'config.json'), 'utf-8'));
+    assert.strictEqual(saved.autoCommit, false);
+
+    const result = runGolem(['config', 'get', 'autoCommit'], tmp);
+    assert.strictEqual(result.stdout.trim(), 'false');
+  });
+
+  it('list --json includes defaults', () => {
+    runGolem(['config', 'set', 'model', 'sonnet'], tmp);
+    const result = runGolem(['config', 'list', '--json'], tmp);
+    assert.strictEqual(result.status, 0);
+    const json = JSON.parse(result.stdout);
+    assert.strictEqual(json.config.model, 'sonnet');
+    assert.strictEqual(json.config.simplifyOnBuild, true);
+  });
+
+  it('unset removes the key', () => {
+    runGolem(['config', 'set', 'model', 'haiku'], tmp);
+    assert.strictEqual(runGolem(['config', 'unset', 'model'], tmp).status, 0);
+    const saved = JSON.parse(fs.readFileSync(path.join(tmp, '.golem', 'config.json'), 'utf-8'));
+    assert.ok(!('model' in saved));
+  });
+
+  it('--user writes to $GOLEM_HOME/config.json', () => {
+    assert.strictEqual(runGolem(['config', 'set', 'model', 'haiku', '--user'], tmp).status, 0);
+    const saved = JSON.parse(fs.readFileSync(path.join(tmp, '.golem-home', 'config.json'), 'utf-8'));
+    assert.strictEqual(saved.model, 'haiku');
+    assert.ok(!fs.existsSync(path.join(tmp, '.golem', 'config.json')));
+  });
+
+  it('--explain reports the layer that supplied the value', () => {
+    runGolem(['config', 'set', 'model', 'haiku', '--user'], tmp);
+    const result = runGolem(['config', '--explain', 'model', '--json'], tmp, { GOLEM_MODEL: 'sonnet' });
+    assert.strictEqual(result.status, 0);
+    const json = JSON.parse(result.stdout);
+    assert.strictEqual(json.value, 'sonnet');
+    assert.strictEqual(json.source, 'env');
+    assert.strictEqual(json.layers.find(l => l.name === 'user').value, 'haiku');
+  });
+
+  it('exits 1 for unknown keys', () => {
+    const result = runGolem(['config', 'set', 'colour', 'red'], tmp);
+    assert.strictEqual(result.status, 1);
+    assert.ok(result.stderr.includes('Unknown config key'));
+  });
+
+  it('exits 1 with JSON error for invalid values in --json mode', () => {
+    const result = runGolem(['config', 'set', 'model', 'gpt', '--json'], tmp);
+    assert.strictEqual(result.status, 1);
+    const json = JSON.parse(result.stdout);
+    assert.ok(json.error.includes('model'));
+    assert.ok(!fs.existsSync(path.join(tmp, '.golem', 'config.json')), 'invalid value should not be written');
+  });
+});
@@ -0,0 +1,110 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { spawnSync } = require('child_process');
+
+const PKG_ROOT = path.resolve(__dirname, '..');
+const GOLEM_BIN = path.join(PKG_ROOT, 'bin', 'golem');
+
+function runDoctor(args, { home, golemHome, bin = GOLEM_BIN }) {
+  const result = spawnSync(process.execPath, [bin, 'doctor', ...args], {
+    cwd: home,
+    env: { ...process.env, HOME: home, GOLEM_HOME: golemHome, PATH: '/usr/bin:/bin', NO_COLOR: '1' },
+    encoding: 'utf-8',
+    timeout: 20000,
+  });
+  return { ...result, json: args.includes('--json') ? JSON.parse(result.stdout) : null };
+}
+
+const find = (json, name) => json.checks.find(c => c.name === name);
+
+describe('golem doctor --fix', () => {
+  let tmp, home, golemHome;
+
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'golem-doctor-test-'));
+    home = path.join(tmp, 'home');
+    golemHome = path.join(home, '.golem');
+    fs.mkdirSync(path.join(golemHome, 'hooks'), { recursive: true });
+    fs.writeFileSync(path.join(home, '.bashrc'), '# user rc\n');
+    // One hook present but not executable, the others missing
+    fs.copyFileSync(path.join(PKG_ROOT, 'hooks', 'block-destructive.sh'), path.join(golemHome, 'hooks', 'block-destructive.sh'));
+    fs.chmodSync(path.join(golemHome, 'hooks', 'block-destructive.sh'), 0o644);
+  });
+  afterEach(() => { fs.rmSync(tmp, { recursive: true, force: true }); });
+
+  it('reports fixable checks without --fix', () => {
+    const { json } = runDoctor(['--json'], { home, golemHome });
+    assert.ok(find(json, 'Hooks').detail.includes('block-push-main.sh'));
+    assert.ok(find(json, 'Hooks').fix.includes('restore'));
+    assert.ok(find(json, 'Hooks executable').fix.includes('chmod 0755'));
+    assert.ok(find(json, 'Security scanner agent').fix);
+    assert.ok(find(json, 'Templates').fix);
+    assert.ok(find(json, 'PATH includes golem').fix.includes('.bashrc'));
+    assert.strictEqual(json.fixes, undefined);
+  });
+
+  it('--dry-run previews fixes without touching anything', () => {
+    const { json } = runDoctor(['--fix', '--dry-run', '--json'], { home, golemHome });
+    assert.ok(json.fixes.length >= 5);
+    assert.ok(json.fixes.every(f => f.applied === false));
+    assert.ok(!fs.existsSync(path.join(golemHome, 'hooks', 'security-scan.sh')));
+    assert.ok(!fs.existsSync(path.join(golemHome, 'templates')));
+    assert.strictEqual(fs.readFileSync(path.join(home, '.bashrc'), 'utf-8'), '# user rc\n');
+  });
+
+  it('--fix repairs the installation and re-checks', () => {
+    const { json } = runDoctor(['--fix', '--json'], { home, golemHome });
+    assert.ok(json.fixes.every(f => f.applied), JSON.stringify(json.fixes));
+
+    for (const hook of fs.readdirSync(path.join(PKG_ROOT, 'hooks'))) {
+      const mode = fs.statSync(path.join(golemHome, 'hooks', hook)).mode & 0o777;
+      assert.strictEqual(mode, 0o755, `${hook} should be 0755`);
+    }
+    assert.ok(fs.existsSync(path.join(home, '.claude', 'agents', 'security-scanner.md')));
+    // Templates come back as the installer writes them, not as a copy of project-scope
+    const installed = fs.mkdtempSync(path.join(os.tmpdir(), 'golem-doctor-installed-'));
+    try {
+      require(path.join(PKG_ROOT, 'bin', 'golem-cc')).installTemplates(PKG_ROOT, installed);
+      const list = dir => fs.readdirSync(dir, { recursive: true }).sort();
+      assert.deepStrictEqual(list(path.join(golemHome, 'templates')), list(installed));
+      assert.strictEqual(fs.readFileSync(path.join(golemHome, 'templates', 'settings.json'), 'utf-8'),
+        fs.readFileSync(path.join(installed, 'settings.json'), 'utf-8'));
+    } finally {
+      fs.rmSync(installed, { recursive: true, force: true });
+    }
+    assert.ok(fs.readFileSync(path.join(home, '.bashrc'), 'utf-8').includes('export PATH="$PATH:$HOME/.golem/bin"'));
+
+    // Final re-check reflects the repairs
+    for (const name of ['Hooks', 'Hooks executable', 'Security scanner agent', 'Templates']) {
+      assert.strictEqual(find(json, name).ok, true, name);
+    }
+    // The RC is fixed, but this shell's PATH still needs a restart
+    const pathCheck = find(json, 'PATH includes golem');
+    assert.ok(pathCheck.detail.includes('restart terminal'));
+    assert.strictEqual(pathCheck.fix, undefined);
+  });
+
+  it('does not add the PATH line twice', () => {
+    runDoctor(['--fix', '--json'], { home, golemHome });
+    runDoctor(['--fix', '--json'], { home, golemHome });
+    const rc = fs.readFileSync(path.join(home, '.bashrc'), 'utf-8');
+    assert.strictEqual(rc.split('.golem/bin').length - 1, 1);
+  });
+
+  it('restores hooks from $GOLEM_HOME/templates when run from an installed golem', () => {
+    // Installed layout: bin and lib live under GOLEM_HOME, the package is gone
+    fs.mkdirSync(path.join(golemHome, 'bin'));
+    fs.copyFileSync(GOLEM_BIN, path.join(golemHome, 'bin', 'golem'));
+    fs.cpSync(path.join(PKG_ROOT, 'lib'), path.join(golemHome, 'lib'), { recursive: true });
+    fs.cpSync(path.join(PKG_ROOT, 'hooks'), path.join(golemHome, 'templates', 'hooks'), { recursive: true });
+
+    const { json } = runDoctor(['--fix', '--json'], { home, golemHome, bin: path.join(golemHome, 'bin', 'golem') });
+    assert.strictEqual(find(json, 'Hooks').ok, true);
+    assert.ok(fs.existsSync(path.join(golemHome, 'hooks', 'security-scan.sh')));
+    // No pristine copy of the scanner agent in this layout
+    assert.strictEqual(find(json, 'Security scanner agent').ok, false);
+  });
+});
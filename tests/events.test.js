@@ -0,0 +1,131 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { spawnSync } = require('child_process');
+
+const events = require('../lib/events.js');
+const plan = require('../lib/plan.js');
+
+const PKG_ROOT = path.resolve(__dirname, '..');
+const GOLEM_BIN = path.join(PKG_ROOT, 'bin', 'golem');
+
+// The suite may itself run under an agent; the CLI tests must look human
+const { CLAUDECODE: _cc, GOLEM_STATE_LOCK: _lock, ...HUMAN_ENV } = process.env;
+
+describe('event journal', () => {
+  let tmp;
+  beforeEach(() => { tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'golem-events-test-')); });
+  afterEach(() => { fs.rmSync(tmp, { recursive: true, force: true }); });
+
+  it('detects agents from the lock token golem sets for headless runs', () => {
+    assert.strictEqual(events.detectActor({}), 'human');
+    assert.strictEqual(events.detectActor({ GOLEM_STATE_LOCK: 'abc' }), 'agent');
+    assert.strictEqual(events.detectActor({ GOLEM_STATE_LOCK: 'abc', CLAUDECODE: '1' }), 'agent');
+  });
+
+  it('counts a person in a Claude Code terminal as human', () => {
+    assert.strictEqual(events.detectActor({ CLAUDECODE: '1' }), 'human');
+  });
+
+  it('appends one JSON line per event with actor and sha', () => {
+    events.appendEvent(tmp, { type: 'phase', from: null, to: 'initialized' }, { env: {}, now: '2026-01-01T00:00:00.000Z' });
+    events.appendEvent(tmp, { type: 'reset', actor: 'agent' }, { env: {}, now: '2026-01-02T00:00:00.000Z' });
+    const lines = fs.readFileSync(events.getEventsPath(tmp), 'utf-8').trim().split('\n');
+    assert.strictEqual(lines.length, 2);
+    assert.deepStrictEqual(JSON.parse(lines[0]), { ts: '2026-01-01T00:00:00.000Z', type: 'phase', actor: 'human', sha: null, from: null, to: 'initialized' });
+    assert.strictEqual(JSON.parse(lines[1]).actor, 'agent');
+  });
+
+  it('records the git SHA inside a repository', () => {
+    spawnSync('git', ['init', '-q'], { cwd: tmp });
+    spawnSync('git', ['-c', 'user.email=t@t', '-c', 'user.name=t', 'commit', '-q', '--allow-empty', '-m', 'x'], { cwd: tmp });
+    const entry = events.appendEvent(tmp, { type: 'reset' }, { env: {} });
+    assert.match(entry.sha, /^[0-9a-f]{7,}$/);
+  });
+
+  it('filters by type and since, skipping unreadable lines', () => {
+    events.appendEvent(tmp, { type: 'phase', to: 'specced' }, { env: {}, now: '2026-01-01T00:00:00Z' });
+    events.appendEvent(tmp, { type: 'task', task: 'TASK-001', to: 'completed' }, { env: {}, now: '2026-01-05T00:00:00Z' });
+    fs.appendFileSync(events.getEventsPath(tmp), '{truncated\n');
+    assert.strictEqual(events.readEvents(tmp).events.length, 2);
+    assert.strictEqual(events.readEvents(tmp).skipped, 1);
+    assert.deepStrictEqual(events.readEvents(tmp, { type: 'task' }).events.map(e => e.task), ['TASK-001']);
+    assert.strictEqual(events.readEvents(tmp, { since: new Date('2026-01-02') }).events.length, 1);
+  });
+
+  it('parses absolute and relative --since values', () => {
+    const now = new Date('2026-01-10T00:00:00Z');
+    assert.strictEqual(events.parseSince('2d', now).toISOString(), '2026-01-08T00:00:00.000Z');
+    assert.strictEqual(events.parseSince('90m', now).toISOString(), '2026-01-09T22:30:00.000Z');
+    assert.strictEqual(events.parseSince('2026-01-01', now).toISOString(), '2026-01-01T00:00:00.000Z');
+    assert.throws(() => events.parseSince('last tuesday', now), /Invalid --since/);
+  });
+
+  it('describes events in one line', () => {
+    assert.strictEqual(events.describeEvent({ type: 'phase', from: 'planned', to: 'building', command: 'golem build' }), 'planned → building (golem build)');
+    assert.strictEqual(events.describeEvent({ type: 'task', task: 'TASK-002', from: 'pending', to: 'blocked', reason: 'API down' }), 'TASK-002 pending → blocked: API down');
+    assert.strictEqual(events.describeEvent({ type: 'custom', ts: 'x', note: 'hi' }), 'note=hi');
+  });
+
+  it('golem tasks changes are journaled', () => {
+    fs.mkdirSync(path.join(tmp, '.golem', 'plans'), { recursive: true });
+    fs.writeFileSync(plan.getPlanPath(tmp), '### TASK-001: One\n- **Status**: pending\n- **Depends on**: none\n');
+    fs.writeFileSync(path.join(tmp, '.golem', 'state.json'), JSON.stringify({ phase: 'building', created: '2026-01-01T00:00:00Z' }));
+    plan.updateTaskStatus(tmp, 'TASK-001', 'blocked', { reason: 'waiting' });
+    const journal = events.readEvents(tmp).events;
+    assert.deepStrictEqual(journal.map(e => [e.type, e.from, e.to]), [['task', 'pending', 'blocked'], ['phase', 'building', 'blocked']]);
+    assert.strictEqual(journal[0].reason, 'waiting');
+  });
+});
+
+describe('golem history', () => {
+  let tmp;
+
+  function runGolem(args, env = {}) {
+    return spawnSync(process.execPath, [GOLEM_BIN, ...args], {
+      cwd: tmp,
+      env: { ...HUMAN_ENV, HOME: tmp, NO_COLOR: '1', ...env },
+      encoding: 'utf-8',
+      timeout: 10000,
+    });
+  }
+
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'golem-history-test-'));
+    fs.mkdirSync(path.join(tmp, '.golem'));
+    fs.writeFileSync(path.join(tmp, '.golem', 'state.json'), JSON.stringify({ phase: 'building', created: '2026-01-01T00:00:00Z' }));
+  });
+  afterEach(() => { fs.rmSync(tmp, { recursive: true, force: true }); });
+
+  it('golem reset is journaled and the journal survives it', () => {
+    assert.strictEqual(runGolem(['reset']).status, 0);
+    const json = JSON.parse(runGolem(['history', '--json']).stdout);
+    assert.deepStrictEqual(json.events.map(e => [e.type, e.from, e.actor]), [['reset', 'building', 'human']]);
+    assert.match(runGolem(['history']).stdout, /human\s+-\s+reset\s+state reset from building/);
+  });
+
+  it('journals commands run in a Claude Code terminal as human', () => {
+    assert.strictEqual(runGolem(['reset'], { CLAUDECODE: '1' }).status, 0);
+    const { events: entries } = events.readEvents(tmp);
+    assert.deepStrictEqual(entries.map(e => [e.type, e.actor]), [['reset', 'human']]);
+  });
+
+  it('filters with --type and --since', () => {
+    events.appendEvent(tmp, { type: 'phase', to: 'specced' }, { env: {}, now: '2020-01-01T00:00:00Z' });
+    events.appendEvent(tmp, { type: 'task', task: 'TASK-001', to: 'completed' }, { env: {} });
+    assert.strictEqual(JSON.parse(runGolem(['history', '--type', 'phase', '--json']).stdout).events.length, 1);
+    assert.strictEqual(JSON.parse(runGolem(['history', '--since', '7d', '--json']).stdout).events[0].type, 'task');
+  });
+
+  it('rejects an invalid --since', () => {
+    const result = runGolem(['history', '--since', 'soon', '--json']);
+    assert.strictEqual(result.status, 1);
+    assert.strictEqual(JSON.parse(result.stdout).error, 'Invalid --since value: soon');
+  });
+
+  it('says so when nothing is recorded', () => {
+    assert.match(runGolem(['history']).stdout, /No events recorded yet/);
+  });
+});
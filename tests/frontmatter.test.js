@@ -0,0 +1,91 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const frontmatter = require('../lib/frontmatter.js');
+
+const PKG_ROOT = path.resolve(__dirname, '..');
+
+describe('frontmatter', () => {
+  it('splits frontmatter from the body', () => {
+    const parsed = frontmatter.parseFrontmatter('---\ndescription: Review it. Now.\nargument-hint: "[path]"\n---\nbody\n');
+    assert.deepStrictEqual(parsed.data, { description: 'Review it. Now.', 'argument-hint': '[path]' });
+    assert.strictEqual(parsed.body, 'body\n');
+    assert.strictEqual(parsed.present, true);
+    assert.deepStrictEqual(frontmatter.parseFrontmatter('# no frontmatter'), { data: {}, body: '# no frontmatter', present: false, error: null });
+  });
+
+  it('parses scalars, lists, nested mappings and block scalars', () => {
+    const yaml = [
+      'name: reviewer  # trailing comment',
+      "quoted: 'it''s'",
+      'escaped: "a\\tb"',
+      'count: 3',
+      'enabled: false',
+      'empty:',
+      'tools: [Read, "Grep", Bash(git add:*)]',
+      'steps:',
+      '  - lint',
+      '  - name: test',
+      '    retries: 2',
+      'env:',
+      '  CI: true',
+      'notes: |',
+      '  line one',
+      '    indented',
+      'folded: >-',
+      '  one',
+      '  two',
+    ].join('\n');
+    assert.deepStrictEqual(frontmatter.parseYaml(yaml), {
+      name: 'reviewer',
+      quoted: "it's",
+      escaped: 'a\tb',
+      count: 3,
+      enabled: false,
+      empty: null,
+      tools: ['Read', 'Grep', 'Bash(git add:*)'],
+      steps: ['lint', { name: 'test', retries: 2 }],
+      env: { CI: true },
+      notes: 'line one\n  indented\n',
+      folded: 'one two',
+    });
+    assert.deepStrictEqual(frontmatter.parseYaml('list:\n- a\n- b'), { list: ['a', 'b'] });
+  });
+
+  it('reports errors with the file line number', () => {
+    const cases = [
+      ['a: 1\na: 2', /line 3: duplicate key "a"/],
+      ['description: Read-only: nothing fixed', /line 2: .*contains ": ".*quote the value/],
+      ['a: 1\n\tb: 2', /line 3: tabs are not allowed/],
+      ['hint: [a] [b]', /nested flow collections are not supported/],
+      ['env: {CI: true}', /flow mappings are not supported/],
+      ['a: &anchor 1', /unsupported YAML syntax "&"/],
+      ['a: "open', /unterminated or malformed double-quoted string/],
+      ['- a\n- b', /must be a mapping of keys, not a list/],
+      ['a: 1\n  b: 2', /line 3: unexpected indentation/],
+    ];
+    for (const [yaml, pattern] of cases) {
+      const { error } = frontmatter.parseFrontmatter(`---\n${yaml}\n---\n`);
+      assert.match(error && error.message, pattern, yaml);
+      assert.strictEqual(typeof error.line, 'number');
+    }
+  });
+
+  it('reads tool lists written either way', () => {
+    assert.deepStrictEqual(frontmatter.toolList('Read, Grep ,Glob'), ['Read', 'Grep', 'Glob']);
+    assert.deepStrictEqual(frontmatter.toolList(['Read', 'Bash']), ['Read', 'Bash']);
+    assert.deepStrictEqual(frontmatter.toolList(null), []);
+  });
+
+  it('parses every shipped command and agent', () => {
+    for (const dir of ['project-scope/commands', 'project-scope/agents', 'user-scope/agents']) {
+      for (const file of fs.readdirSync(path.join(PKG_ROOT, dir))) {
+        const parsed = frontmatter.parseFrontmatter(fs.readFileSync(path.join(PKG_ROOT, dir, file), 'utf-8'));
+        assert.strictEqual(parsed.error, null, `${dir}/${file}: ${parsed.error && parsed.error.message}`);
+        assert.ok(parsed.data.description, `${dir}/${file} has no description`);
+      }
+    }
+  });
+});
@@ -5,7 +5,7 @@ const path = require('path');
 const os = require('os');
 const crypto = require('crypto');
 
-const { fileHash, decideAction, smartCopy, copyDir, cleanCommentKeys, writeCleanJson, ensureDir } = require('../bin/golem-cc');
+const { fileHash, decideAction, smartCopy, copyDir, cleanCommentKeys, writeCleanJson, mergeSettingsJson, ensureDir } = require('../bin/golem-cc');
 
 // Helper: create a temp directory for each test
 function makeTmpDir() {
@@ -312,3 +312,65 @@ describe('writeCleanJson', () => {
     assert.strictEqual(fs.readFileSync(target, 'utf-8'), '{"original": true}');
   });
 });
+
+// ============================================================================
+// mergeSettingsJson
+// ============================================================================
+
+describe('mergeSettingsJson', () => {
+  let tmp, src, dest, ownedPath;
+  beforeEach(() => {
+    tmp = makeTmpDir();
+    src = path.join(tmp, 'src.json');
+    dest = path.join(tmp, 'settings.json');
+    ownedPath = path.join(tmp, 'settings-owned.json');
+    fs.writeFileSync(src, JSON.stringify({
+      '// comment': '',
+      permissions: { allow: ['Bash(ls:*)'] },
+      env: { MAX_THINKING_TOKENS: '16000' },
+      hooks: { PreToolUse: [{ matcher: 'Bash', hooks: [{ type: 'command', command: '~/.golem/hooks/block-destructive.sh' }] }] },
+    }));
+  });
+  afterEach(() => { rmTmpDir(tmp); });
+
+  const read = (file) => JSON.parse(fs.readFileSync(file, 'utf-8'));
+
+  it('installs a clean file when none exists', () => {
+    assert.strictEqual(mergeSettingsJson(src, dest, { ownedPath }), 'installed');
+    assert.ok(!('// comment' in read(dest)));
+    assert.deepStrictEqual(read(ownedPath).permissions, { allow: ['Bash(ls:*)'] });
+  });
+
+  it('merges into existing settings without a backup', () => {
+    fs.writeFileSync(dest, JSON.stringify({ permissions: { allow: ['Bash(docker:*)'] }, env: { MAX_THINKING_TOKENS: '32000' } }));
+    assert.strictEqual(mergeSettingsJson(src, dest, { ownedPath }), 'merged');
+    const merged = read(dest);
+    assert.deepStrictEqual(merged.permissions.allow, ['Bash(docker:*)', 'Bash(ls:*)']);
+    assert.strictEqual(merged.env.MAX_THINKING_TOKENS, '32000');
+    assert.strictEqual(merged.hooks.PreToolUse.length, 1);
+    assert.ok(!fs.existsSync(dest + '.pre-golem'));
+  });
+
+  it('is unchanged on re-run and drops entries golem no longer ships', () => {
+    fs.writeFileSync(dest, JSON.stringify({ permissions: { allow: ['Bash(docker:*)'] } }));
+    mergeSettingsJson(src, dest, { ownedPath });
+    assert.strictEqual(mergeSettingsJson(src, dest, { ownedPath }), 'unchanged');
+
+    fs.writeFileSync(src, JSON.stringify({ permissions: { allow: ['Bash(wc:*)'] } }));
+    mergeSettingsJson(src, dest, { ownedPath });
+    assert.deepStrictEqual(read(dest), { permissions: { allow: ['Bash(docker:*)', 'Bash(wc:*)'] } });
+  });
+
+  it('leaves invalid JSON untouched', () => {
+    fs.writeFileSync(dest, '{oops');
+    assert.strictEqual(mergeSettingsJson(src, dest, { ownedPath }), 'invalid');
+    assert.strictEqual(fs.readFileSync(dest, 'utf-8'), '{oops');
+  });
+
+  it('blocks symlink destinations', () => {
+    const target = path.join(tmp, 'target.json');
+    fs.writeFileSync(target, '{}');
+    fs.symlinkSync(target, dest);
+    assert.strictEqual(mergeSettingsJson(src, dest, { ownedPath }), 'blocked');
+  });
+});
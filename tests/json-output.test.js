@@ -204,6 +204,35 @@ describe('JSON output modes', () => {
       }
     });
 
+    it('--project reports project files in the same shape', () => {
+      const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'golem-test-'));
+      const golemHome = path.join(tempDir, 'golem-home');
+      const projectDir = path.join(tempDir, 'project');
+      fs.mkdirSync(path.join(golemHome, 'templates', 'commands'), { recursive: true });
+      fs.writeFileSync(path.join(golemHome, 'templates', 'commands', 'golem-build.md'), 'build');
+      fs.mkdirSync(projectDir);
+      const env = { ...process.env, GOLEM_HOME: golemHome };
+      spawnSync(process.execPath, [GOLEM_BIN, 'init'], { cwd: projectDir, env, encoding: 'utf-8' });
+      fs.unlinkSync(path.join(projectDir, '.claude', 'commands', 'golem-build.md'));
+
+      const result = spawnSync(process.execPath, [GOLEM_BIN, 'doctor', '--project', '--json'], {
+        cwd: projectDir,
+        env,
+        encoding: 'utf-8',
+      });
+
+      // Cleanup
+      fs.rmSync(tempDir, { recursive: true, force: true });
+
+      assert.strictEqual(result.status, 1);
+      const json = JSON.parse(result.stdout);
+      assert.strictEqual(json.allPassed, false);
+      const missing = json.checks.find(c => c.name === '.claude/commands/golem-build.md');
+      assert.strictEqual(missing.ok, false);
+      assert.ok(json.checks.find(c => c.name === '.golem/state.json').ok);
+      assert.ok(json.checks.find(c => c.name === 'CLAUDE.md').ok);
+    });
+
     it('human mode (no --json) is unchanged', () => {
       const result = spawnSync(process.execPath, [GOLEM_BIN, 'doctor'], {
         encoding: 'utf-8',
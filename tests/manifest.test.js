@@ -0,0 +1,148 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const manifest = require('../lib/manifest.js');
+
+describe('decideUpdateAction', () => {
+  it('installs when the file is missing', () => {
+    assert.strictEqual(manifest.decideUpdateAction('a', null, 'b'), 'install');
+  });
+
+  it('is unchanged when the file already matches the template', () => {
+    assert.strictEqual(manifest.decideUpdateAction('a', 'b', 'b'), 'unchanged');
+    assert.strictEqual(manifest.decideUpdateAction(null, 'b', 'b'), 'unchanged');
+  });
+
+  it('updates when the file still matches what golem installed', () => {
+    assert.strictEqual(manifest.decideUpdateAction('a', 'a', 'b'), 'update');
+  });
+
+  it('conflicts when the file was edited locally', () => {
+    assert.strictEqual(manifest.decideUpdateAction('a', 'c', 'b'), 'conflict');
+  });
+
+  it('conflicts when there is no record of the original', () => {
+    assert.strictEqual(manifest.decideUpdateAction(null, 'c', 'b'), 'conflict');
+  });
+});
+
+describe('readManifest / writeManifest', () => {
+  let tmp;
+  beforeEach(() => { tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'golem-manifest-test-')); });
+  afterEach(() => { fs.rmSync(tmp, { recursive: true, force: true }); });
+
+  it('returns an empty manifest when missing', () => {
+    assert.deepStrictEqual(manifest.readManifest(tmp).files, {});
+  });
+
+  it('returns an empty manifest when corrupt', () => {
+    fs.mkdirSync(path.join(tmp, '.golem'));
+    fs.writeFileSync(manifest.getManifestPath(tmp), 'not json');
+    assert.deepStrictEqual(manifest.readManifest(tmp).files, {});
+  });
+
+  it('round-trips through disk', () => {
+    manifest.writeManifest(tmp, { version: '1.0.0', files: { 'a.md': { hash: 'x' } } });
+    assert.strictEqual(manifest.readManifest(tmp).files['a.md'].hash, 'x');
+  });
+
+  it('hashFile returns null for missing files', () => {
+    assert.strictEqual(manifest.hashFile(path.join(tmp, 'nope')), null);
+    fs.writeFileSync(path.join(tmp, 'f'), 'abc');
+    assert.strictEqual(manifest.hashFile(path.join(tmp, 'f')).length, 64);
+  });
+});
+
+describe('templateTargets', () => {
+  let tmp;
+  beforeEach(() => { tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'golem-manifest-test-')); });
+  afterEach(() => { fs.rmSync(tmp, { recursive: true, force: true }); });
+
+  it('maps templates to project destinations and skips installer leftovers', () => {
+    fs.mkdirSync(path.join(tmp, 'commands'));
+    fs.writeFileSync(path.join(tmp, 'commands', 'golem-build.md'), 'x');
+    fs.writeFileSync(path.join(tmp, 'commands', 'golem-build.md.new'), 'x');
+    fs.writeFileSync(path.join(tmp, 'mcp.json'), '{}');
+    const rels = manifest.templateTargets(tmp).map(t => t.rel);
+    assert.deepStrictEqual(rels, ['.claude/commands/golem-build.md', '.mcp.json']);
+  });
+});
+
+describe('verifyProject', () => {
+  let tmp, templatesDir, project;
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'golem-manifest-test-'));
+    templatesDir = path.join(tmp, 'templates');
+    project = path.join(tmp, 'project');
+    fs.mkdirSync(path.join(templatesDir, 'commands'), { recursive: true });
+    fs.mkdirSync(path.join(project, '.golem'), { recursive: true });
+    fs.mkdirSync(path.join(project, '.claude', 'commands'), { recursive: true });
+    fs.writeFileSync(path.join(templatesDir, 'commands', 'golem-build.md'), 'v1');
+    fs.writeFileSync(path.join(project, '.claude', 'commands', 'golem-build.md'), 'v1');
+    fs.writeFileSync(path.join(project, '.golem', 'state.json'), '{}');
+    fs.writeFileSync(path.join(project, 'CLAUDE.md'), '# project');
+    manifest.writeManifest(project, {
+      version: '1.0.0',
+      files: {
+        '.claude/commands/golem-build.md': { hash: manifest.hashFile(path.join(templatesDir, 'commands', 'golem-build.md')), kind: 'template' },
+        '.golem/state.json': { hash: 'whatever', kind: 'state' },
+        'CLAUDE.md': { hash: manifest.hashFile(path.join(project, 'CLAUDE.md')), kind: 'generated' },
+      },
+    });
+  });
+  afterEach(() => { fs.rmSync(tmp, { recursive: true, force: true }); });
+
+  const find = (checks, name) => checks.find(c => c.name === name);
+
+  it('passes a freshly initialized project', () => {
+    const checks = manifest.verifyProject(project, { templatesDir, version: '1.0.0' });
+    assert.ok(checks.every(c => c.ok), JSON.stringify(checks));
+  });
+
+  it('fails when .golem is missing', () => {
+    const checks = manifest.verifyProject(path.join(tmp, 'nowhere'), { templatesDir });
+    assert.strictEqual(checks[0].ok, false);
+    assert.ok(checks[0].detail.includes('golem init'));
+  });
+
+  it('reports missing files as required failures', () => {
+    fs.unlinkSync(path.join(project, '.claude', 'commands', 'golem-build.md'));
+    const check = find(manifest.verifyProject(project, { templatesDir }), '.claude/commands/golem-build.md');
+    assert.strictEqual(check.ok, false);
+    assert.ok(!check.optional);
+  });
+
+  it('flags drifted templates as optional', () => {
+    fs.writeFileSync(path.join(project, '.claude', 'commands', 'golem-build.md'), 'edited');
+    const check = find(manifest.verifyProject(project, { templatesDir }), '.claude/commands/golem-build.md');
+    assert.strictEqual(check.ok, false);
+    assert.strictEqual(check.optional, true);
+    assert.ok(check.detail.includes('modified'));
+  });
+
+  it('accepts customized generated files', () => {
+    fs.writeFileSync(path.join(project, 'CLAUDE.md'), '# customized');
+    assert.strictEqual(find(manifest.verifyProject(project, { templatesDir }), 'CLAUDE.md').ok, true);
+  });
+
+  it('reports corrupted state files', () => {
+    fs.writeFileSync(path.join(project, '.golem', 'state.json'), '{oops');
+    assert.strictEqual(find(manifest.verifyProject(project, { templatesDir }), '.golem/state.json').ok, false);
+  });
+
+  it('reports available template updates and new templates', () => {
+    fs.writeFileSync(path.join(templatesDir, 'commands', 'golem-build.md'), 'v2');
+    fs.writeFileSync(path.join(templatesDir, 'commands', 'golem-sweep.md'), 'new');
+    const checks = manifest.verifyProject(project, { templatesDir });
+    assert.ok(find(checks, '.claude/commands/golem-build.md').detail.includes('update available'));
+    assert.ok(find(checks, '.claude/commands/golem-sweep.md').detail.includes('not installed'));
+  });
+
+  it('notes a golem version change', () => {
+    const check = find(manifest.verifyProject(project, { templatesDir, version: '2.0.0' }), 'Manifest version');
+    assert.strictEqual(check.optional, true);
+  });
+});
@@ -0,0 +1,109 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { spawnSync } = require('child_process');
+
+const PKG_ROOT = path.resolve(__dirname, '..');
+const GOLEM_BIN = path.join(PKG_ROOT, 'bin', 'golem');
+
+describe('golem mcp', () => {
+  let tmp, home, project;
+
+  function runGolem(args) {
+    return spawnSync(process.execPath, [GOLEM_BIN, 'mcp', ...args], {
+      cwd: project,
+      env: { ...process.env, HOME: home, GOLEM_HOME: path.join(home, '.golem'), npm_config_cache: path.join(home, '.npm'), NO_COLOR: '1' },
+      encoding: 'utf-8',
+      timeout: 10000,
+    });
+  }
+
+  const readMcp = (file = path.join(project, '.mcp.json')) => JSON.parse(fs.readFileSync(file, 'utf-8'));
+
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'golem-mcp-cli-test-'));
+    home = path.join(tmp, 'home');
+    project = path.join(tmp, 'project');
+    fs.mkdirSync(home);
+    fs.mkdirSync(project);
+    fs.copyFileSync(path.join(PKG_ROOT, 'project-scope', 'mcp.json'), path.join(project, '.mcp.json'));
+  });
+  afterEach(() => { fs.rmSync(tmp, { recursive: true, force: true }); });
+
+  it('list --json reports both scopes', () => {
+    const result = runGolem(['list', '--json']);
+    assert.strictEqual(result.status, 0);
+    const json = JSON.parse(result.stdout);
+    assert.deepStrictEqual(json.files.map(f => [f.scope, f.exists]), [['user', false], ['project', true]]);
+    const fsServer = json.files[1].servers.find(s => s.name === 'filesystem');
+    assert.strictEqual(fsServer.disabled, true);
+  });
+
+  it('add writes a server after -- and keeps comment keys', () => {
+    const result = runGolem(['add', 'docs', '--env', 'TOKEN=${DOCS_TOKEN}', '--', 'npx', '-y', 'docs-mcp@1.0.0']);
+    assert.strictEqual(result.status, 0, result.stderr);
+    const config = readMcp();
+    assert.deepStrictEqual(config.mcpServers.docs, { command: 'npx', args: ['-y', 'docs-mcp@1.0.0'], env: { TOKEN: '${DOCS_TOKEN}' } });
+    assert.ok('// Golem - Project MCP Servers' in config);
+    assert.ok('// Fetches up-to-date library docs (Nuxt, Next, pg, etc.)' in config.mcpServers.context7);
+  });
+
+  it('add --user edits ~/.mcp.json', () => {
+    assert.strictEqual(runGolem(['add', 'docs', '--user', '--', 'docs-server']).status, 0);
+    assert.strictEqual(readMcp(path.join(home, '.mcp.json')).mcpServers.docs.command, 'docs-server');
+    assert.ok(!('docs' in readMcp().mcpServers));
+  });
+
+  it('add --detected adds templates for detected databases', () => {
+    runGolem(['remove', 'postgres']);
+    fs.writeFileSync(path.join(project, 'package.json'), JSON.stringify({ dependencies: { pg: '8', oracledb: '6' } }));
+    const result = runGolem(['add', '--detected', '--json']);
+    assert.strictEqual(result.status, 0);
+    const json = JSON.parse(result.stdout);
+    assert.strictEqual(json.results.find(r => r.name === 'postgres').action, 'added');
+    assert.strictEqual(json.results.find(r => r.name === 'oracle').action, 'skipped');
+    assert.match(json.results.find(r => r.name === 'oracle').detail, /golem ships only skills\/databases\/oracle\.md/);
+    assert.strictEqual(readMcp().mcpServers.postgres.env.POSTGRES_CONNECTION_STRING, '${DATABASE_URL}');
+  });
+
+  it('rejects duplicate and unknown servers', () => {
+    const dup = runGolem(['add', 'context7', '--', 'npx']);
+    assert.strictEqual(dup.status, 1);
+    assert.ok(dup.stderr.includes('already exists'));
+
+    const missing = runGolem(['remove', 'nope', '--json']);
+    assert.strictEqual(missing.status, 1);
+    assert.ok(JSON.parse(missing.stdout).error.includes('nope'));
+  });
+
+  it('enable, disable and remove edit the server', () => {
+    assert.strictEqual(runGolem(['disable', 'context7']).status, 0);
+    assert.strictEqual(readMcp().mcpServers.context7.disabled, true);
+    const enabled = runGolem(['enable', 'filesystem']);
+    assert.ok(enabled.stdout.includes('/path/to/your/shared/docs'), 'should warn about the template path');
+    assert.ok(!('disabled' in readMcp().mcpServers.filesystem));
+    assert.strictEqual(runGolem(['remove', 'context7']).status, 0);
+    assert.ok(!('context7' in readMcp().mcpServers));
+  });
+
+  it('pin resolves ranges from the local npx cache', () => {
+    const pkgDir = path.join(home, '.npm', '_npx', 'x1', 'node_modules', '@upstash', 'context7-mcp');
+    fs.mkdirSync(pkgDir, { recursive: true });
+    fs.writeFileSync(path.join(pkgDir, 'package.json'), JSON.stringify({ version: '2.1.7' }));
+
+    const result = runGolem(['pin', 'context7', '--json']);
+    assert.strictEqual(result.status, 0);
+    assert.strictEqual(JSON.parse(result.stdout).changed, true);
+    assert.deepStrictEqual(readMcp().mcpServers.context7.args, ['-y', '@upstash/context7-mcp@2.1.7']);
+    assert.ok(readMcp().mcpServers.postgres.args[1].includes('@^'), 'other servers untouched');
+  });
+
+  it('pin says which detected databases have no server to check', () => {
+    fs.writeFileSync(path.join(project, 'package.json'), JSON.stringify({ dependencies: { pg: '8', mssql: '10' } }));
+    const results = JSON.parse(runGolem(['pin', '--json']).stdout).results;
+    assert.deepStrictEqual(results.find(r => r.name === 'mssql'), { name: 'mssql', action: 'skipped', detail: 'no MCP server template for mssql, so nothing to check' });
+    assert.ok(!results.some(r => r.name === 'postgres' && r.detail.includes('no MCP server template')));
+  });
+});
@@ -0,0 +1,218 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const mcp = require('../lib/mcp.js');
+
+const PKG_ROOT = path.resolve(__dirname, '..');
+const projectTemplate = () => mcp.readMcpConfig(path.join(PKG_ROOT, 'project-scope', 'mcp.json'));
+
+describe('validateStructure', () => {
+  it('accepts the shipped templates', () => {
+    assert.deepStrictEqual(mcp.validateStructure(projectTemplate()), []);
+    assert.deepStrictEqual(mcp.validateStructure(mcp.readMcpConfig(path.join(PKG_ROOT, 'user-scope', 'mcp.json'))), []);
+  });
+
+  it('ignores comment keys', () => {
+    const names = mcp.listServers({ mcpServers: { '// note': '', a: { command: 'npx' } } }).map(s => s.name);
+    assert.deepStrictEqual(names, ['a']);
+  });
+
+  it('reports bad names, commands, args, env and disabled flags', () => {
+    const errors = mcp.validateStructure({
+      mcpServers: {
+        'bad name': { command: 'npx' },
+        nocmd: { args: [] },
+        badargs: { command: 'npx', args: '-y pkg' },
+        badenv: { command: 'npx', env: { A: 1 } },
+        baddisabled: { command: 'npx', disabled: 'yes' },
+        remote: { type: 'http' },
+      },
+    });
+    assert.strictEqual(errors.length, 6, errors.join('\n'));
+    assert.ok(errors.some(e => e.includes('"bad name"')));
+    assert.ok(errors.some(e => e.includes('"url" is required')));
+  });
+
+  it('requires an mcpServers object', () => {
+    assert.deepStrictEqual(mcp.validateStructure({}), ['missing "mcpServers"']);
+    assert.deepStrictEqual(mcp.validateStructure({ mcpServers: [] }), ['"mcpServers" must be an object']);
+  });
+});
+
+describe('findUndefinedPlaceholders', () => {
+  it('reports unset variables of enabled servers only', () => {
+    const result = mcp.findUndefinedPlaceholders(projectTemplate(), { HOME: '/h' });
+    assert.deepStrictEqual(result, [{ server: 'postgres', variables: ['DATABASE_URL'] }]);
+  });
+
+  it('treats empty variables as unset and defaults as satisfied', () => {
+    const config = { mcpServers: { a: { command: 'x', args: ['${A}', '${B:-fallback}'] } } };
+    assert.deepStrictEqual(mcp.findUndefinedPlaceholders(config, { A: '' }), [{ server: 'a', variables: ['A'] }]);
+    assert.deepStrictEqual(mcp.findUndefinedPlaceholders(config, { A: 'set' }), []);
+  });
+});
+
+describe('findUnpinned / findTemplatePaths', () => {
+  it('lists caret ranges', () => {
+    const specs = mcp.findUnpinned(projectTemplate()).map(u => u.spec);
+    assert.ok(specs.includes('@upstash/context7-mcp@^2.1.1'));
+    assert.deepStrictEqual(mcp.findUnpinned({ mcpServers: { a: { command: 'npx', args: ['pkg@1.2.3'] } } }), []);
+  });
+
+  it('finds servers still using the template docs path', () => {
+    assert.deepStrictEqual(mcp.findTemplatePaths(projectTemplate()), [{ server: 'filesystem', disabled: true }]);
+  });
+});
+
+describe('verifyMcp', () => {
+  let tmp, home, project;
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'golem-mcp-test-'));
+    home = path.join(tmp, 'home');
+    project = path.join(tmp, 'project');
+    fs.mkdirSync(home);
+    fs.mkdirSync(project);
+    fs.copyFileSync(path.join(PKG_ROOT, 'user-scope', 'mcp.json'), path.join(home, '.mcp.json'));
+    fs.copyFileSync(path.join(PKG_ROOT, 'project-scope', 'mcp.json'), path.join(project, '.mcp.json'));
+  });
+  afterEach(() => { fs.rmSync(tmp, { recursive: true, force: true }); });
+
+  const find = (checks, name) => checks.find(c => c.name === name);
+
+  it('checks both files and never prints variable values', () => {
+    const checks = mcp.verifyMcp({ home, cwd: project, env: { HOME: home, DATABASE_URL: '' } });
+    assert.strictEqual(find(checks, '~/.mcp.json').ok, true);
+    assert.strictEqual(find(checks, '.mcp.json').detail, '4 server(s), 1 disabled');
+
+    const env = find(checks, '.mcp.json env vars');
+    assert.strictEqual(env.ok, false);
+    assert.strictEqual(env.optional, true);
+    assert.ok(env.detail.includes('DATABASE_URL (postgres)'));
+    assert.ok(!JSON.stringify(checks).includes(home + '/.claude'), 'resolved values must not leak');
+
+    assert.ok(find(checks, '.mcp.json template paths').detail.includes('filesystem (disabled)'));
+  });
+
+  it('only reports unpinned ranges in strict mode', () => {
+    const env = { HOME: home, DATABASE_URL: 'x' };
+    assert.strictEqual(find(mcp.verifyMcp({ home, cwd: project, env }), '.mcp.json pinning'), undefined);
+    const pinning = find(mcp.verifyMcp({ home, cwd: project, env, strict: true }), '.mcp.json pinning');
+    assert.strictEqual(pinning.ok, false);
+    assert.ok(pinning.detail.includes('@^'));
+  });
+
+  it('fails on invalid JSON and treats a missing user file as optional', () => {
+    fs.unlinkSync(path.join(home, '.mcp.json'));
+    fs.writeFileSync(path.join(project, '.mcp.json'), '{nope');
+    const checks = mcp.verifyMcp({ home, cwd: project, env: {} });
+    assert.strictEqual(find(checks, '~/.mcp.json').optional, true);
+    assert.strictEqual(find(checks, '.mcp.json').ok, false);
+    assert.strictEqual(find(checks, '.mcp.json').detail, 'invalid JSON');
+  });
+});
+
+// ============================================================================
+// Pinning
+// ============================================================================
+
+describe('caret ranges', () => {
+  it('parses scoped and unscoped specs', () => {
+    assert.deepStrictEqual(mcp.parseCaretSpec('@upstash/context7-mcp@^2.1.1'), { name: '@upstash/context7-mcp', base: [2, 1, 1] });
+    assert.deepStrictEqual(mcp.parseCaretSpec('docs-mcp@^0.6.2'), { name: 'docs-mcp', base: [0, 6, 2] });
+    assert.strictEqual(mcp.parseCaretSpec('docs-mcp@1.2.3'), null);
+  });
+
+  it('follows npm caret semantics', () => {
+    assert.ok(mcp.satisfiesCaret([2, 9, 0], [2, 1, 1]));
+    assert.ok(!mcp.satisfiesCaret([3, 0, 0], [2, 1, 1]));
+    assert.ok(!mcp.satisfiesCaret([2, 1, 0], [2, 1, 1]));
+    assert.ok(mcp.satisfiesCaret([0, 6, 9], [0, 6, 2]));
+    assert.ok(!mcp.satisfiesCaret([0, 7, 0], [0, 6, 2]));
+    assert.ok(!mcp.satisfiesCaret([0, 0, 4], [0, 0, 3]));
+  });
+});
+
+describe('resolvePin / pinServers', () => {
+  let tmp, npmCache;
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'golem-mcp-test-'));
+    npmCache = path.join(tmp, 'npm-cache');
+  });
+  afterEach(() => { fs.rmSync(tmp, { recursive: true, force: true }); });
+
+  it('reads package-lock.json', () => {
+    fs.writeFileSync(path.join(tmp, 'package-lock.json'), JSON.stringify({
+      packages: { 'node_modules/@upstash/context7-mcp': { version: '2.3.0' } },
+    }));
+    assert.deepStrictEqual(mcp.resolvePin('@upstash/context7-mcp@^2.1.1', { cwd: tmp, npmCache }),
+      { name: '@upstash/context7-mcp', version: '2.3.0', source: 'package-lock.json' });
+  });
+
+  it('reads pnpm-lock.yaml', () => {
+    fs.writeFileSync(path.join(tmp, 'pnpm-lock.yaml'), "packages:\n\n  '@upstash/context7-mcp@2.2.0':\n    resolution: {}\n");
+    assert.strictEqual(mcp.resolvePin('@upstash/context7-mcp@^2.1.1', { cwd: tmp, npmCache }).version, '2.2.0');
+  });
+
+  it('picks the highest matching version from the npx and npm caches', () => {
+    const npx = path.join(npmCache, '_npx', 'abc123', 'node_modules', '@upstash', 'context7-mcp');
+    fs.mkdirSync(npx, { recursive: true });
+    fs.writeFileSync(path.join(npx, 'package.json'), JSON.stringify({ version: '2.1.4' }));
+    const index = path.join(npmCache, '_cacache', 'index-v5', 'aa', 'bb');
+    fs.mkdirSync(index, { recursive: true });
+    fs.writeFileSync(path.join(index, 'entry'),
+      'deadbeef\t{"key":"make-fetch-happen:request-cache:https://registry.npmjs.org/@upstash/context7-mcp/-/context7-mcp-2.5.0.tgz"}\n'
+      + 'deadbeef\t{"key":"make-fetch-happen:request-cache:https://registry.npmjs.org/@upstash/context7-mcp/-/context7-mcp-3.0.0.tgz"}\n');
+
+    assert.deepStrictEqual(mcp.resolvePin('@upstash/context7-mcp@^2.1.1', { cwd: tmp, npmCache }),
+      { name: '@upstash/context7-mcp', version: '2.5.0', source: 'npm cache' });
+  });
+
+  it('reads the npm cache index once for every spec', () => {
+    const index = path.join(npmCache, '_cacache', 'index-v5', 'aa', 'bb');
+    fs.mkdirSync(index, { recursive: true });
+    fs.writeFileSync(path.join(index, 'entry'),
+      'deadbeef\t{"key":"make-fetch-happen:request-cache:https://registry.npmjs.org/docs-mcp/-/docs-mcp-1.2.0.tgz"}\n'
+      + 'deadbeef\t{"key":"make-fetch-happen:request-cache:https://registry.npmjs.org/@acme/db-mcp/-/db-mcp-0.3.1.tgz"}\n');
+    assert.deepStrictEqual([...mcp.readCacheIndex(npmCache)], [['docs-mcp', ['1.2.0']], ['@acme/db-mcp', ['0.3.1']]]);
+
+    const reads = [];
+    const readdirSync = fs.readdirSync;
+    fs.readdirSync = (dir, ...rest) => {
+      if (String(dir).includes('index-v5')) reads.push(dir);
+      return readdirSync(dir, ...rest);
+    };
+    try {
+      const config = { mcpServers: {
+        a: { command: 'npx', args: ['-y', 'docs-mcp@^1.0.0'] },
+        b: { command: 'npx', args: ['-y', '@acme/db-mcp@^0.3.0'] },
+      } };
+      const results = mcp.pinServers(config, { cwd: tmp, npmCache });
+      assert.deepStrictEqual(results.map(r => r.to), ['docs-mcp@1.2.0', '@acme/db-mcp@0.3.1']);
+    } finally {
+      fs.readdirSync = readdirSync;
+    }
+    // index-v5, aa, aa/bb: one walk
+    assert.strictEqual(reads.length, 3);
+  });
+
+  it('leaves specs unchanged when nothing local matches', () => {
+    const config = { mcpServers: { '// c': '', a: { command: 'npx', args: ['-y', 'docs-mcp@^1.0.0'] } } };
+    const results = mcp.pinServers(config, { cwd: tmp, npmCache });
+    assert.deepStrictEqual(results, [{ server: 'a', from: 'docs-mcp@^1.0.0', to: null, source: null }]);
+    assert.deepStrictEqual(config.mcpServers.a.args, ['-y', 'docs-mcp@^1.0.0']);
+  });
+
+  it('rewrites args in place and respects the server filter', () => {
+    fs.writeFileSync(path.join(tmp, 'package-lock.json'), JSON.stringify({ packages: { 'node_modules/docs-mcp': { version: '1.4.0' } } }));
+    const config = { mcpServers: {
+      a: { command: 'npx', args: ['-y', 'docs-mcp@^1.0.0'] },
+      b: { command: 'npx', args: ['-y', 'docs-mcp@^1.0.0'] },
+    } };
+    mcp.pinServers(config, { cwd: tmp, npmCache, only: 'a' });
+    assert.deepStrictEqual(config.mcpServers.a.args, ['-y', 'docs-mcp@1.4.0']);
+    assert.deepStrictEqual(config.mcpServers.b.args, ['-y', 'docs-mcp@^1.0.0']);
+  });
+});
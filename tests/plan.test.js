@@ -0,0 +1,439 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { spawnSync } = require('child_process');
+
+const plan = require('../lib/plan.js');
+const events = require('../lib/events.js');
+const statusLib = require('../lib/status.js');
+
+const PKG_ROOT = path.resolve(__dirname, '..');
+const GOLEM_BIN = path.join(PKG_ROOT, 'bin', 'golem');
+
+function task(id, { status = 'pending', deps = 'none', tests = ['CREATE `src/a.test.ts`'], acs = 'AC-01' } = {}) {
+  return [
+    `### ${id}: Do ${id}`,
+    `- **Status**: ${status}`,
+    `- **Depends on**: ${deps}`,
+    '- **Files**:',
+    '  - CREATE `src/a.ts` — thing',
+    '- **Tests**:',
+    ...tests.map(t => `  - ${t}`),
+    `- **Acceptance Criteria**: ${acs}`,
+    '',
+  ].join('\n');
+}
+
+const SAMPLE = [
+  '# Implementation Plan',
+  'Generated: 2026-01-01',
+  'Spec: spec-20260101-120000.md',
+  '',
+  '## Tasks',
+  '',
+  task('TASK-001', { acs: 'AC-01' }),
+  task('TASK-002', { deps: 'TASK-001', acs: 'AC-02' }),
+  task('TASK-003', { status: '✅ COMPLETE', deps: 'TASK-001, TASK-002', acs: 'AC-01, AC-03' }),
+  '## Dependency Graph',
+  '### TASK-999 is not a task heading',
+].join('\n');
+
+describe('parsePlan', () => {
+  it('parses tasks, fields and the spec header', () => {
+    const parsed = plan.parsePlan(SAMPLE);
+    assert.strictEqual(parsed.spec, 'spec-20260101-120000.md');
+    assert.deepStrictEqual(parsed.tasks.map(t => t.id), ['TASK-001', 'TASK-002', 'TASK-003']);
+    const t3 = parsed.tasks[2];
+    assert.strictEqual(t3.title, 'Do TASK-003');
+    assert.strictEqual(t3.status, 'completed');
+    assert.deepStrictEqual(t3.dependsOn, ['TASK-001', 'TASK-002']);
+    assert.deepStrictEqual(t3.files, [{ action: 'CREATE', path: 'src/a.ts', note: 'thing' }]);
+    assert.deepStrictEqual(t3.tests, ['CREATE `src/a.test.ts`']);
+    assert.deepStrictEqual(t3.acceptanceCriteria, ['AC-01', 'AC-03']);
+    assert.deepStrictEqual(parsed.errors, []);
+  });
+
+  it('records the Status line for later rewrites', () => {
+    const parsed = plan.parsePlan(SAMPLE);
+    const lines = SAMPLE.split('\n');
+    assert.ok(lines[parsed.tasks[0].statusLine - 1].startsWith('- **Status**'));
+  });
+
+  it('reports unknown statuses and file actions', () => {
+    const md = task('TASK-001', { status: 'someday' }).replace('CREATE `src/a.ts`', 'RENAME `src/a.ts`');
+    const types = plan.parsePlan(md).errors.map(e => e.type);
+    assert.deepStrictEqual(types, ['invalid-status', 'invalid-file']);
+  });
+});
+
+describe('parseSpecCriteria', () => {
+  it('extracts AC IDs once each', () => {
+    const spec = 'AC-01: GIVEN a WHEN b THEN c\n- AC-02: GIVEN x\n**AC-03**: GIVEN y\nSee AC-01 above\nAC-01: dup';
+    assert.deepStrictEqual(plan.parseSpecCriteria(spec), ['AC-01', 'AC-02', 'AC-03']);
+  });
+});
+
+describe('validatePlan', () => {
+  const types = (md, options) => plan.validatePlan(plan.parsePlan(md), options).issues.map(i => i.type);
+
+  it('accepts a well-formed plan', () => {
+    const result = plan.validatePlan(plan.parsePlan(SAMPLE), { specCriteria: ['AC-01', 'AC-02', 'AC-03'] });
+    assert.deepStrictEqual(result, { valid: true, issues: [] });
+  });
+
+  it('detects dependency cycles', () => {
+    const md = task('TASK-001', { deps: 'TASK-003' }) + task('TASK-002', { deps: 'TASK-001' }) + task('TASK-003', { deps: 'TASK-002' });
+    const result = plan.validatePlan(plan.parsePlan(md));
+    assert.strictEqual(result.valid, false);
+    assert.deepStrictEqual(result.issues.map(i => i.message), ['Dependency cycle: TASK-001 → TASK-003 → TASK-002 → TASK-001']);
+  });
+
+  it('treats self-dependencies as cycles', () => {
+    const md = task('TASK-001', { deps: 'TASK-001' }) + task('TASK-002') + task('TASK-003');
+    assert.deepStrictEqual(types(md), ['dependency-cycle']);
+  });
+
+  it('flags unknown dependencies and duplicate IDs', () => {
+    const md = task('TASK-001', { deps: 'TASK-042' }) + task('TASK-002') + task('TASK-002');
+    assert.deepStrictEqual(types(md), ['duplicate-task', 'unknown-dependency']);
+  });
+
+  it('flags tasks without tests', () => {
+    const md = task('TASK-001', { tests: [] }) + task('TASK-002') + task('TASK-003');
+    assert.deepStrictEqual(types(md), ['missing-tests']);
+  });
+
+  it('enforces the 3-15 task rule', () => {
+    assert.deepStrictEqual(types(task('TASK-001') + task('TASK-002')), ['task-count']);
+    const many = Array.from({ length: 16 }, (_, i) => task(`TASK-${String(i + 1).padStart(3, '0')}`)).join('');
+    assert.deepStrictEqual(types(many), ['task-count']);
+  });
+
+  it('reports spec criteria no task covers', () => {
+    const result = plan.validatePlan(plan.parsePlan(SAMPLE), { specCriteria: ['AC-01', 'AC-04'] });
+    assert.deepStrictEqual(result.issues.map(i => i.message), ['AC-04 from the spec is not covered by any task']);
+  });
+});
+
+describe('findSpec', () => {
+  let tmp;
+  beforeEach(() => { tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'golem-plan-test-')); });
+  afterEach(() => { fs.rmSync(tmp, { recursive: true, force: true }); });
+
+  it('prefers the spec named in the plan, then the latest', () => {
+    const specs = path.join(tmp, '.golem', 'specs');
+    fs.mkdirSync(specs, { recursive: true });
+    fs.writeFileSync(path.join(specs, 'spec-20260101-120000.md'), '');
+    fs.writeFileSync(path.join(specs, 'spec-20260301-120000.md'), '');
+    assert.strictEqual(path.basename(plan.findSpec(tmp, 'spec-20260101-120000.md')), 'spec-20260101-120000.md');
+    assert.strictEqual(path.basename(plan.findSpec(tmp, '../../etc/passwd')), 'spec-20260301-120000.md');
+    assert.strictEqual(path.basename(plan.findSpec(tmp)), 'spec-20260301-120000.md');
+  });
+
+  it('returns null without specs', () => {
+    assert.strictEqual(plan.findSpec(tmp), null);
+  });
+});
+
+describe('golem plan --validate', () => {
+  let tmp;
+
+  function runGolem(args) {
+    return spawnSync(process.execPath, [GOLEM_BIN, 'plan', ...args], {
+      cwd: tmp,
+      env: { ...process.env, HOME: tmp, NO_COLOR: '1' },
+      encoding: 'utf-8',
+      timeout: 10000,
+    });
+  }
+
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'golem-plan-cli-test-'));
+    fs.mkdirSync(path.join(tmp, '.golem', 'plans'), { recursive: true });
+    fs.mkdirSync(path.join(tmp, '.golem', 'specs'), { recursive: true });
+    fs.writeFileSync(path.join(tmp, '.golem', 'plans', 'current.md'), SAMPLE);
+    fs.writeFileSync(path.join(tmp, '.golem', 'specs', 'spec-20260101-120000.md'), 'AC-01: a\nAC-02: b\nAC-03: c\n');
+  });
+  afterEach(() => { fs.rmSync(tmp, { recursive: true, force: true }); });
+
+  it('exits 0 for a valid plan', () => {
+    const result = runGolem(['--validate']);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.ok(result.stdout.includes('Plan is valid'));
+  });
+
+  it('exits 1 with JSON issues for an invalid plan', () => {
+    fs.appendFileSync(path.join(tmp, '.golem', 'specs', 'spec-20260101-120000.md'), 'AC-04: d\n');
+    const result = runGolem(['--validate', '--json']);
+    assert.strictEqual(result.status, 1);
+    const json = JSON.parse(result.stdout);
+    assert.strictEqual(json.valid, false);
+    assert.strictEqual(json.spec, 'spec-20260101-120000.md');
+    assert.deepStrictEqual(json.issues.map(i => i.type), ['uncovered-criterion']);
+  });
+
+  it('fails when there is no plan', () => {
+    fs.rmSync(path.join(tmp, '.golem', 'plans'), { recursive: true });
+    const result = runGolem(['--validate', '--json']);
+    assert.strictEqual(result.status, 1);
+    assert.strictEqual(JSON.parse(result.stdout).error, 'No implementation plan found');
+  });
+});
+
+describe('nextTask', () => {
+  it('returns the first pending task whose dependencies are complete', () => {
+    const md = task('TASK-001', { status: 'completed' }) + task('TASK-002', { deps: 'TASK-003' }) + task('TASK-003', { deps: 'TASK-001' });
+    assert.strictEqual(plan.nextTask(plan.parsePlan(md).tasks).id, 'TASK-003');
+  });
+
+  it('returns null when everything left is blocked or waiting', () => {
+    const md = task('TASK-001', { status: 'blocked' }) + task('TASK-002', { deps: 'TASK-001' });
+    assert.strictEqual(plan.nextTask(plan.parsePlan(md).tasks), null);
+  });
+});
+
+describe('parallelBatch', () => {
+  it('picks ready tasks that touch different files, up to the limit', () => {
+    const md = task('TASK-001', { status: 'completed' })
+      + task('TASK-002', { deps: 'TASK-001' })
+      + task('TASK-003')
+      + task('TASK-004', { deps: 'TASK-002' })
+      + task('TASK-005').replace('src/a.ts', 'src/b.ts')
+      + task('TASK-006').replace('src/a.ts', 'src/c.ts');
+    const tasks = plan.parsePlan(md).tasks;
+    // TASK-003 shares src/a.ts with TASK-002; TASK-004 waits on TASK-002
+    assert.deepStrictEqual(plan.parallelBatch(tasks, 5).map(t => t.id), ['TASK-002', 'TASK-005', 'TASK-006']);
+    assert.deepStrictEqual(plan.parallelBatch(tasks, 2).map(t => t.id), ['TASK-002', 'TASK-005']);
+  });
+});
+
+describe('criticalPath', () => {
+  it('follows the longest chain of unfinished tasks', () => {
+    const md = task('TASK-001', { status: 'completed' })
+      + task('TASK-002', { deps: 'TASK-001' })
+      + task('TASK-003', { deps: 'TASK-002' })
+      + task('TASK-004')
+      + task('TASK-005', { deps: 'TASK-003, TASK-004' });
+    assert.deepStrictEqual(plan.criticalPath(plan.parsePlan(md).tasks), ['TASK-002', 'TASK-003', 'TASK-005']);
+  });
+
+  it('is empty when everything is done and survives cycles', () => {
+    assert.deepStrictEqual(plan.criticalPath(plan.parsePlan(task('TASK-001', { status: 'completed' })).tasks), []);
+    assert.deepStrictEqual(plan.criticalPath(plan.parsePlan(task('TASK-001')).tasks), ['TASK-001']);
+    const cyclic = task('TASK-001', { deps: 'TASK-002' }) + task('TASK-002', { deps: 'TASK-001' });
+    assert.strictEqual(plan.criticalPath(plan.parsePlan(cyclic).tasks).length, 2);
+  });
+});
+
+describe('buildScope', () => {
+  const tasks = plan.parsePlan(task('TASK-001', { status: 'completed' })
+    + task('TASK-002', { deps: 'TASK-001' })
+    + task('TASK-003')
+    + task('TASK-004', { deps: 'TASK-002, TASK-003' })
+    + task('TASK-005')).tasks;
+
+  it('--task runs one task whose dependencies are done', () => {
+    assert.deepStrictEqual(plan.buildScope(tasks, { task: 'TASK-002' }), ['TASK-002']);
+    assert.throws(() => plan.buildScope(tasks, { task: 'TASK-004' }), /TASK-004 depends on TASK-002, TASK-003, which are not completed/);
+  });
+
+  it('--until runs a task and its unfinished dependencies', () => {
+    assert.deepStrictEqual(plan.buildScope(tasks, { until: 'TASK-004' }), ['TASK-002', 'TASK-003', 'TASK-004']);
+  });
+
+  it('rejects unknown, completed and doubly-scoped tasks', () => {
+    assert.throws(() => plan.buildScope(tasks, { task: 'TASK-042' }), /TASK-042 is not in the plan/);
+    assert.throws(() => plan.buildScope(tasks, { until: 'TASK-001' }), /TASK-001 is already completed/);
+    assert.throws(() => plan.buildScope(tasks, { task: 'TASK-002', until: 'TASK-004' }), /either --task or --until/);
+  });
+});
+
+describe('setTaskStatus', () => {
+  it('rewrites only the Status line of the task', () => {
+    const updated = plan.setTaskStatus(SAMPLE, 'TASK-002', 'completed');
+    const tasks = plan.parsePlan(updated).tasks;
+    assert.deepStrictEqual(tasks.map(t => t.status), ['pending', 'completed', 'completed']);
+    assert.strictEqual(updated.split('\n').length, SAMPLE.split('\n').length);
+  });
+
+  it('adds a Status line when the task has none', () => {
+    const md = task('TASK-001').replace('- **Status**: pending\n', '');
+    const updated = plan.setTaskStatus(md, 'TASK-001', 'blocked');
+    assert.strictEqual(updated.split('\n')[1], '- **Status**: blocked');
+  });
+
+  it('rejects unknown tasks and statuses', () => {
+    assert.throws(() => plan.setTaskStatus(SAMPLE, 'TASK-404', 'completed'), /not in the plan/);
+    assert.throws(() => plan.setTaskStatus(SAMPLE, 'TASK-001', 'finished'), /Unknown task status/);
+  });
+});
+
+describe('updateTaskStatus', () => {
+  let tmp;
+  const stateFile = () => path.join(tmp, '.golem', 'state.json');
+  const readState = () => JSON.parse(fs.readFileSync(stateFile(), 'utf-8'));
+
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'golem-plan-test-'));
+    fs.mkdirSync(path.join(tmp, '.golem', 'plans'), { recursive: true });
+    fs.writeFileSync(plan.getPlanPath(tmp), SAMPLE);
+    fs.writeFileSync(stateFile(), JSON.stringify({ phase: 'planned', created: 'x', tasks: [{ id: 'TASK-001', note: 'kept' }] }));
+  });
+  afterEach(() => { fs.rmSync(tmp, { recursive: true, force: true }); });
+
+  it('updates the plan and the state counters together', () => {
+    plan.updateTaskStatus(tmp, 'TASK-001', 'completed', { now: 'T1' });
+    assert.strictEqual(plan.readPlan(plan.getPlanPath(tmp)).tasks[0].status, 'completed');
+    const state = readState();
+    assert.strictEqual(state.tasks_total, 3);
+    assert.strictEqual(state.tasks_completed, 2);
+    assert.strictEqual(state.created, 'x');
+    assert.deepStrictEqual(state.tasks[0], { id: 'TASK-001', note: 'kept', title: 'Do TASK-001', status: 'completed', depends_on: [], completed_at: 'T1' });
+    assert.deepStrictEqual(fs.readdirSync(path.join(tmp, '.golem')).sort(), ['events.jsonl', 'plans', 'state.json']);
+  });
+
+  it('blocks with a reason and clears the blocked phase once resolved', () => {
+    fs.writeFileSync(stateFile(), JSON.stringify({ phase: 'building', created: 'x' }));
+    plan.updateTaskStatus(tmp, 'TASK-002', 'blocked', { reason: 'API down', now: 'T1' });
+    let state = readState();
+    assert.strictEqual(state.phase, 'blocked');
+    assert.strictEqual(state.tasks[1].blocked_reason, 'API down');
+    plan.updateTaskStatus(tmp, 'TASK-002', 'completed', { now: 'T2' });
+    state = readState();
+    assert.strictEqual(state.phase, 'building');
+    assert.strictEqual(state.phase_started, 'T2');
+    assert.strictEqual(state.tasks[1].blocked_reason, undefined);
+  });
+
+  it('leaves the phase alone when the workflow does not allow the move', () => {
+    for (const phase of ['initialized', 'planned']) {
+      fs.writeFileSync(stateFile(), JSON.stringify({ phase, created: 'x' }));
+      const { state } = plan.updateTaskStatus(tmp, 'TASK-002', 'blocked', { reason: 'API down', now: 'T1' });
+      assert.strictEqual(state.phase, phase);
+      assert.strictEqual(readState().phase, phase);
+      assert.strictEqual(state.tasks[1].blocked_reason, 'API down');
+    }
+    const { events: entries } = events.readEvents(tmp);
+    assert.deepStrictEqual(entries.map(e => e.type), ['task', 'task']);
+  });
+
+  it('leaves both files untouched when state.json is corrupt', () => {
+    fs.writeFileSync(stateFile(), '{oops');
+    assert.throws(() => plan.updateTaskStatus(tmp, 'TASK-001', 'completed'), /not valid JSON/);
+    assert.strictEqual(fs.readFileSync(plan.getPlanPath(tmp), 'utf-8'), SAMPLE);
+  });
+});
+
+describe('golem tasks', () => {
+  let tmp;
+
+  function runGolem(args) {
+    return spawnSync(process.execPath, [GOLEM_BIN, 'tasks', ...args], {
+      cwd: tmp,
+      env: { ...process.env, HOME: tmp, NO_COLOR: '1' },
+      encoding: 'utf-8',
+      timeout: 10000,
+    });
+  }
+
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'golem-tasks-cli-test-'));
+    fs.mkdirSync(path.join(tmp, '.golem', 'plans'), { recursive: true });
+    fs.writeFileSync(plan.getPlanPath(tmp), SAMPLE.replace('✅ COMPLETE', 'pending'));
+    fs.writeFileSync(path.join(tmp, '.golem', 'state.json'), JSON.stringify({ phase: 'planned' }));
+  });
+  afterEach(() => { fs.rmSync(tmp, { recursive: true, force: true }); });
+
+  it('list --json reports statuses and the next task', () => {
+    const json = JSON.parse(runGolem(['list', '--json']).stdout);
+    assert.strictEqual(json.total, 3);
+    assert.strictEqual(json.next, 'TASK-001');
+    assert.deepStrictEqual(json.tasks[2].depends_on, ['TASK-001', 'TASK-002']);
+  });
+
+  it('done advances next and updates state.json', () => {
+    const result = runGolem(['done', 'task-001', '--json']);
+    assert.strictEqual(result.status, 0, result.stdout);
+    const json = JSON.parse(result.stdout);
+    assert.strictEqual(json.tasks_completed, 1);
+    assert.strictEqual(json.next, 'TASK-002');
+    assert.strictEqual(JSON.parse(runGolem(['next', '--json']).stdout).next.id, 'TASK-002');
+  });
+
+  it('block requires a reason and writes the blocked log', () => {
+    assert.strictEqual(runGolem(['block', 'TASK-001']).status, 1);
+    const result = runGolem(['block', 'TASK-001', '--reason', 'Needs credentials']);
+    assert.strictEqual(result.status, 0, result.stderr);
+    const log = fs.readFileSync(path.join(tmp, '.golem', 'logs', 'blocked-TASK-001.md'), 'utf-8');
+    assert.ok(log.includes('Needs credentials'));
+    assert.ok(runGolem(['next']).stdout.includes('No task is ready'));
+  });
+
+  it('block again records the new reason for golem status', () => {
+    runGolem(['block', 'TASK-001', '--reason', 'Needs credentials']);
+    assert.strictEqual(runGolem(['block', 'TASK-001', '--reason', 'Waiting on the vendor']).status, 0);
+    const log = fs.readFileSync(path.join(tmp, '.golem', 'logs', 'blocked-TASK-001.md'), 'utf-8');
+    assert.ok(log.includes('Needs credentials') && log.includes('Waiting on the vendor'));
+    assert.strictEqual(statusLib.readBlockers(tmp)[0].reason, 'Waiting on the vendor');
+  });
+
+  it('show fails for unknown tasks', () => {
+    const result = runGolem(['show', 'TASK-404', '--json']);
+    assert.strictEqual(result.status, 1);
+    assert.strictEqual(JSON.parse(result.stdout).error, 'TASK-404 is not in the plan');
+  });
+});
+
+describe('golem build --task / --until', () => {
+  let tmp, binDir;
+  const { CLAUDECODE: _cc, GOLEM_STATE_LOCK: _lock, ...HUMAN_ENV } = process.env;
+
+  function runGolem(args) {
+    return spawnSync(process.execPath, [GOLEM_BIN, 'build', ...args], {
+      cwd: tmp,
+      env: { ...HUMAN_ENV, HOME: tmp, NO_COLOR: '1', PATH: `${binDir}${path.delimiter}${process.env.PATH}` },
+      encoding: 'utf-8',
+      timeout: 10000,
+    });
+  }
+
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'golem-build-scope-test-'));
+    binDir = path.join(tmp, 'bin');
+    fs.mkdirSync(binDir);
+    fs.writeFileSync(path.join(binDir, 'claude'), '#!/bin/sh\necho "claude $2"\n', { mode: 0o755 });
+    fs.mkdirSync(path.join(tmp, '.golem', 'plans'), { recursive: true });
+    fs.writeFileSync(plan.getPlanPath(tmp), SAMPLE.replace('✅ COMPLETE', 'pending'));
+    fs.writeFileSync(path.join(tmp, '.golem', 'state.json'), JSON.stringify({ phase: 'planned', created: '2026-01-01T00:00:00Z' }));
+  });
+  afterEach(() => { fs.rmSync(tmp, { recursive: true, force: true }); });
+
+  it('passes a validated --task to the slash command', () => {
+    const result = runGolem(['--task', 'task-001']);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.match(result.stdout, /Scope: TASK-001/);
+    assert.match(result.stdout, /^claude \/golem-build --task TASK-001$/m);
+  });
+
+  it('passes --until with its dependency chain', () => {
+    const result = runGolem(['--until', 'TASK-003']);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.match(result.stdout, /Scope: TASK-001, TASK-002, TASK-003/);
+    assert.match(result.stdout, /^claude \/golem-build --until TASK-003$/m);
+  });
+
+  it('refuses a task whose dependencies are not done, without running claude', () => {
+    const result = runGolem(['--task', 'TASK-002']);
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /TASK-002 depends on TASK-001, which is not completed/);
+    assert.match(result.stderr, /golem build --until TASK-002/);
+    assert.doesNotMatch(result.stdout, /claude/);
+  });
+
+  it('refuses unknown tasks and a missing ID', () => {
+    assert.match(runGolem(['--task', 'TASK-404']).stderr, /TASK-404 is not in the plan/);
+    assert.match(runGolem(['--until']).stderr, /Missing task ID for --until/);
+  });
+});
@@ -0,0 +1,120 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { spawnSync } = require('child_process');
+
+const profiles = require('../lib/profiles.js');
+const config = require('../lib/config.js');
+const stateLib = require('../lib/state.js');
+
+const PKG_ROOT = path.resolve(__dirname, '..');
+const GOLEM_BIN = path.join(PKG_ROOT, 'bin', 'golem');
+
+const { CLAUDECODE: _cc, GOLEM_STATE_LOCK: _lock, ...HUMAN_ENV } = process.env;
+
+const PROFILES = {
+  plan: { model: 'opus', maxTurns: 80 },
+  sweep: { model: 'haiku', maxTurns: 15, allowedTools: ['Read', 'Grep'] },
+  ci: { permissionMode: 'acceptEdits', outputFormat: 'stream-json' },
+};
+
+describe('profiles', () => {
+  const defaults = config.resolveConfig({});
+
+  it('validates profile fields', () => {
+    assert.strictEqual(profiles.validateProfiles(PROFILES), null);
+    assert.match(profiles.validateProfiles([]), /must be an object of named profiles/);
+    assert.match(profiles.validateProfiles({ a: { turns: 3 } }), /Profile "a" has unknown field "turns"/);
+    assert.match(profiles.validateProfiles({ a: { maxTurns: 0 } }), /maxTurns must be a whole number of at least 1/);
+    assert.match(profiles.validateProfiles({ a: { permissionMode: 'yolo' } }), /must be one of: default, acceptEdits/);
+    assert.match(profiles.validateProfiles({ a: { allowedTools: 'Read' } }), /must be a list of tool names/);
+    assert.strictEqual(config.validateValue('profiles', { a: { model: 3 } }).valid, false);
+  });
+
+  it('picks the command profile, then default, then --profile', () => {
+    const cfg = { ...defaults, profiles: { ...PROFILES, default: { maxTurns: 30 } } };
+    assert.deepStrictEqual(profiles.resolveProfile('plan', cfg), { name: 'plan', model: 'opus', maxTurns: 80 });
+    assert.deepStrictEqual(profiles.resolveProfile('build', cfg), { name: 'default', model: 'opus', maxTurns: 30 });
+    assert.strictEqual(profiles.resolveProfile('plan', cfg, 'ci').permissionMode, 'acceptEdits');
+    assert.deepStrictEqual(profiles.resolveProfile('build', defaults), { name: null, model: 'opus' });
+    assert.deepStrictEqual(profiles.resolveProfile('build', { ...defaults, model: null }), { name: null });
+    assert.deepStrictEqual(profiles.resolveProfile('plan', { ...cfg, model: null }), { name: 'plan', model: 'opus', maxTurns: 80 });
+    assert.throws(() => profiles.resolveProfile('build', cfg, 'fast'), /Unknown profile "fast" \(profiles: plan, sweep, ci, default\)/);
+  });
+
+  it('adds no --model without a configured model or profile', () => {
+    assert.deepStrictEqual(profiles.profileArgs(profiles.resolveProfile('build', { ...defaults, model: null })), []);
+    assert.deepStrictEqual(profiles.profileArgs(profiles.resolveProfile('sweep', { ...defaults, model: null, profiles: PROFILES })),
+      ['--model', 'haiku', '--max-turns', '15', '--allowedTools', 'Read,Grep']);
+  });
+
+  it('maps profiles to claude flags', () => {
+    assert.deepStrictEqual(profiles.profileArgs({ model: 'haiku', ...PROFILES.sweep }),
+      ['--model', 'haiku', '--max-turns', '15', '--allowedTools', 'Read,Grep']);
+    assert.deepStrictEqual(profiles.profileArgs({ model: 'opus', ...PROFILES.ci }),
+      ['--model', 'opus', '--permission-mode', 'acceptEdits', '--output-format', 'stream-json', '--verbose']);
+  });
+});
+
+describe('golem --profile', () => {
+  let tmp, binDir;
+
+  function runGolem(args, env = {}) {
+    return spawnSync(process.execPath, [GOLEM_BIN, ...args], {
+      cwd: tmp,
+      env: { ...HUMAN_ENV, HOME: tmp, NO_COLOR: '1', PATH: `${binDir}${path.delimiter}${process.env.PATH}`, ...env },
+      encoding: 'utf-8',
+      timeout: 10000,
+    });
+  }
+
+  const claudeArgs = () => fs.readFileSync(path.join(tmp, 'argv'), 'utf-8').trim().split('\n');
+
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'golem-profiles-test-'));
+    binDir = path.join(tmp, 'bin');
+    fs.mkdirSync(binDir);
+    fs.writeFileSync(path.join(binDir, 'claude'), '#!/bin/sh\nprintf "%s\\n" "$@" > argv\n', { mode: 0o755 });
+    fs.mkdirSync(path.join(tmp, '.golem'));
+    stateLib.writeState(tmp, stateLib.createState());
+    config.writeConfig(config.getConfigPath(tmp), { profiles: PROFILES });
+  });
+  afterEach(() => { fs.rmSync(tmp, { recursive: true, force: true }); });
+
+  it('uses the profile named after the command', () => {
+    const result = runGolem(['sweep', 'src/']);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.match(result.stdout, /Profile: sweep/);
+    assert.deepStrictEqual(claudeArgs(), ['-p', '/golem-sweep src/', '--model', 'haiku', '--max-turns', '15', '--allowedTools', 'Read,Grep']);
+  });
+
+  it('overrides it for one run', () => {
+    assert.strictEqual(runGolem(['discuss', 'auth', '--profile', 'plan']).status, 0);
+    assert.deepStrictEqual(claudeArgs(), ['-p', '/golem-discuss auth', '--model', 'opus', '--max-turns', '80']);
+  });
+
+  it('passes --model only when a model is configured', () => {
+    assert.strictEqual(runGolem(['discuss', 'auth']).status, 0);
+    assert.deepStrictEqual(claudeArgs(), ['-p', '/golem-discuss auth']);
+    assert.strictEqual(runGolem(['discuss', 'auth'], { GOLEM_MODEL: 'sonnet' }).status, 0);
+    assert.deepStrictEqual(claudeArgs(), ['-p', '/golem-discuss auth', '--model', 'sonnet']);
+  });
+
+  it('rejects unknown or missing profile names before running claude', () => {
+    const unknown = runGolem(['discuss', 'auth', '--profile', 'fast']);
+    assert.strictEqual(unknown.status, 1);
+    assert.match(unknown.stderr, /Unknown profile "fast"/);
+    assert.strictEqual(stateLib.readState(tmp).state.phase, 'initialized');
+    assert.match(runGolem(['recon', '--profile']).stderr, /Missing profile name for --profile/);
+    assert.strictEqual(fs.existsSync(path.join(tmp, 'argv')), false);
+  });
+
+  it('sets profiles as JSON through golem config', () => {
+    assert.strictEqual(runGolem(['config', 'set', 'profiles', '{"fast":{"model":"haiku"}}']).status, 0);
+    assert.deepStrictEqual(config.readConfig(config.getConfigPath(tmp)).profiles, { fast: { model: 'haiku' } });
+    assert.match(runGolem(['config', 'set', 'profiles', '{"fast":{"maxTurns":-1}}']).stderr, /maxTurns must be a whole number/);
+    assert.match(runGolem(['config', 'set', 'profiles', 'nope']).stderr, /"profiles" must be a JSON object/);
+  });
+});
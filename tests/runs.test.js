@@ -0,0 +1,130 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { spawnSync } = require('child_process');
+
+const runs = require('../lib/runs.js');
+const stateLib = require('../lib/state.js');
+
+const PKG_ROOT = path.resolve(__dirname, '..');
+const GOLEM_BIN = path.join(PKG_ROOT, 'bin', 'golem');
+
+const { CLAUDECODE: _cc, GOLEM_STATE_LOCK: _lock, ...HUMAN_ENV } = process.env;
+
+const git = (cwd, ...args) => spawnSync('git', ['-c', 'user.email=t@t', '-c', 'user.name=t', ...args], { cwd, stdio: 'pipe' });
+
+describe('run recorder', () => {
+  let tmp;
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'golem-runs-test-'));
+    git(tmp, 'init', '-q');
+    fs.writeFileSync(path.join(tmp, 'a.txt'), 'a');
+    fs.writeFileSync(path.join(tmp, 'dirty.txt'), 'before');
+    git(tmp, 'add', 'a.txt');
+    git(tmp, 'commit', '-qm', 'init');
+  });
+  afterEach(() => { fs.rmSync(tmp, { recursive: true, force: true }); });
+
+  it('names runs by UTC time and command, without collisions', () => {
+    const now = new Date('2026-02-16T13:03:30.123Z');
+    assert.strictEqual(runs.runId('build', now), '20260216-130330-build');
+    const first = runs.startRun(tmp, { command: 'build', now });
+    const second = runs.startRun(tmp, { command: 'build', now });
+    assert.deepStrictEqual([first.id, second.id], ['20260216-130330-build', '20260216-130330-build-2']);
+  });
+
+  it('records HEADs, duration and files changed by commits and in the working tree', () => {
+    const run = runs.startRun(tmp, { command: 'build', args: '', argv: ['claude', '-p', '/golem-build'], now: new Date('2026-01-01T00:00:00Z') });
+    fs.writeFileSync(path.join(tmp, 'b.txt'), 'b');
+    git(tmp, 'add', 'b.txt');
+    git(tmp, 'commit', '-qm', 'b');
+    fs.writeFileSync(path.join(tmp, 'a.txt'), 'changed');
+    const record = runs.finishRun(tmp, run, { status: 0, now: new Date('2026-01-01T00:01:30Z') });
+    assert.strictEqual(record.duration_ms, 90000);
+    assert.strictEqual(record.exit_status, 0);
+    assert.notStrictEqual(record.head_before, record.head_after);
+    // dirty.txt was untracked before the run and untouched: not the run's doing
+    assert.deepStrictEqual(record.files_changed, ['a.txt', 'b.txt']);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(run.dir, 'run.json'), 'utf-8')), record);
+  });
+
+  it('lists newest first and finds runs by unique prefix', () => {
+    runs.startRun(tmp, { command: 'spec', now: new Date('2026-01-01T00:00:00Z') });
+    runs.startRun(tmp, { command: 'plan', now: new Date('2026-01-02T00:00:00Z') });
+    assert.deepStrictEqual(runs.listRuns(tmp).map(r => r.command), ['golem plan', 'golem spec']);
+    assert.strictEqual(runs.findRun(tmp, '20260101').command, 'golem spec');
+    assert.strictEqual(runs.findRun(tmp, 'nope'), null);
+    assert.throws(() => runs.findRun(tmp, '2026'), /ambiguous \(2 runs match\)/);
+  });
+
+  it('lists runs started in the same second newest first', () => {
+    runs.startRun(tmp, { command: 'spec', now: new Date('2026-01-01T00:00:00.100Z') });
+    runs.startRun(tmp, { command: 'plan', now: new Date('2026-01-01T00:00:00.400Z') });
+    runs.startRun(tmp, { command: 'build', now: new Date('2026-01-01T00:00:00.900Z') });
+    runs.startRun(tmp, { command: 'build', now: new Date('2026-01-01T00:00:00.900Z') });
+    assert.deepStrictEqual(runs.listRuns(tmp).map(r => r.id), [
+      '20260101-000000-build-2', '20260101-000000-build', '20260101-000000-plan', '20260101-000000-spec',
+    ]);
+  });
+});
+
+describe('golem runs', () => {
+  let tmp, binDir;
+
+  function runGolem(args) {
+    return spawnSync(process.execPath, [GOLEM_BIN, ...args], {
+      cwd: tmp,
+      env: { ...HUMAN_ENV, HOME: tmp, NO_COLOR: '1', PATH: `${binDir}${path.delimiter}${process.env.PATH}` },
+      encoding: 'utf-8',
+      timeout: 10000,
+    });
+  }
+
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'golem-runs-cli-test-'));
+    binDir = path.join(tmp, 'bin');
+    fs.mkdirSync(binDir);
+    fs.writeFileSync(path.join(binDir, 'claude'), '#!/bin/sh\necho "working on $2"\necho "tests failed" >&2\ntouch made.txt\nexit 2\n', { mode: 0o755 });
+    fs.mkdirSync(path.join(tmp, '.golem'));
+    stateLib.writeState(tmp, stateLib.createState());
+  });
+  afterEach(() => { fs.rmSync(tmp, { recursive: true, force: true }); });
+
+  it('records a headless run and still shows its output live', () => {
+    const result = runGolem(['discuss', 'auth']);
+    assert.strictEqual(result.status, 2);
+    assert.match(result.stdout, /working on \/golem-discuss auth/);
+    assert.match(result.stderr, /tests failed/);
+
+    const [run] = runs.listRuns(tmp);
+    assert.match(run.id, /^\d{8}-\d{6}-discuss$/);
+    assert.strictEqual(run.command, 'golem discuss');
+    assert.strictEqual(run.args, 'auth');
+    assert.strictEqual(run.exit_status, 2);
+    assert.strictEqual(run.head_before, null);
+    const dir = path.join(runs.getRunsDir(tmp), run.id);
+    assert.strictEqual(fs.readFileSync(path.join(dir, 'stdout.log'), 'utf-8'), 'working on /golem-discuss auth\n');
+    assert.strictEqual(fs.readFileSync(path.join(dir, 'stderr.log'), 'utf-8'), 'tests failed\n');
+  });
+
+  it('lists and shows runs', () => {
+    runGolem(['discuss', 'auth']);
+    const { runs: listed } = JSON.parse(runGolem(['runs', 'list', '--json']).stdout);
+    assert.strictEqual(listed.length, 1);
+    assert.match(runGolem(['runs']).stdout, /-discuss\s+✗ exit 2/);
+
+    const shown = runGolem(['runs', 'show', listed[0].id.slice(0, 8)]);
+    assert.strictEqual(shown.status, 0, shown.stderr);
+    assert.match(shown.stdout, /Command:\s+golem discuss auth/);
+    assert.match(shown.stdout, /stderr.*\n\s+tests failed/);
+  });
+
+  it('fails on unknown run IDs', () => {
+    const result = runGolem(['runs', 'show', 'nope', '--json']);
+    assert.strictEqual(result.status, 1);
+    assert.strictEqual(JSON.parse(result.stdout).error, 'No run matches "nope"');
+    assert.match(runGolem(['runs']).stdout, /No headless runs recorded yet/);
+  });
+});
@@ -0,0 +1,200 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const settings = require('../lib/settings.js');
+
+const PKG_ROOT = path.resolve(__dirname, '..');
+
+function writeJson(file, obj) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, typeof obj === 'string' ? obj : JSON.stringify(obj, null, 2));
+}
+
+function bashHook(command) {
+  return { matcher: 'Bash', hooks: [{ type: 'command', command }] };
+}
+
+describe('settings helpers', () => {
+  it('resolves golem hook commands to ~/.golem/hooks', () => {
+    assert.strictEqual(settings.resolveGolemHook('~/.golem/hooks/block-destructive.sh', '/h'), path.join('/h', '.golem', 'hooks', 'block-destructive.sh'));
+    assert.strictEqual(settings.resolveGolemHook('"$HOME/.golem/hooks/security-scan.sh"', '/h'), path.join('/h', '.golem', 'hooks', 'security-scan.sh'));
+    assert.strictEqual(settings.resolveGolemHook('echo hi', '/h'), null);
+  });
+
+  it('flattens hook groups and tolerates malformed entries', () => {
+    const entries = settings.hookEntries({
+      hooks: { PreToolUse: [bashHook('a'), { matcher: 'x' }, null], Stop: 'nope' },
+    });
+    assert.deepStrictEqual(entries, [{ event: 'PreToolUse', matcher: 'Bash', command: 'a' }]);
+  });
+
+  it('skips project scopes when run from the home directory', () => {
+    assert.deepStrictEqual(settings.settingsFiles({ home: '/h', cwd: '/h' }).map(f => f.scope), ['user']);
+    assert.deepStrictEqual(settings.settingsFiles({ home: '/h', cwd: '/p' }).map(f => f.scope), ['user', 'project', 'local']);
+  });
+
+  it('finds the PreToolUse hooks the shipped templates register twice', () => {
+    const loaded = settings.loadSettings([
+      { scope: 'user', file: path.join(PKG_ROOT, 'user-scope', 'settings.json') },
+      { scope: 'project', file: path.join(PKG_ROOT, 'project-scope', 'settings.json') },
+    ]);
+    const duplicates = settings.findDuplicateHooks(loaded);
+    const destructive = duplicates.find(d => d.command.includes('block-destructive.sh'));
+    assert.strictEqual(destructive.event, 'PreToolUse');
+    assert.deepStrictEqual(destructive.scopes, ['user', 'project']);
+  });
+
+  it('finds rules that are both allowed and denied, ignoring comment strings', () => {
+    const loaded = [
+      { scope: 'user', settings: { permissions: { allow: ['Read(./.env)', '// note'], deny: [] } } },
+      { scope: 'project', settings: { permissions: { allow: [], deny: ['Read(./.env)', '// note'] } } },
+    ];
+    assert.deepStrictEqual(settings.findPermissionConflicts(loaded), [
+      { rule: 'Read(./.env)', allow: ['user'], deny: ['project'] },
+    ]);
+  });
+});
+
+describe('verifySettings', () => {
+  let tmp, home, project;
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'golem-settings-test-'));
+    home = path.join(tmp, 'home');
+    project = path.join(tmp, 'project');
+    fs.mkdirSync(path.join(home, '.golem', 'hooks'), { recursive: true });
+    fs.mkdirSync(project);
+  });
+  afterEach(() => { fs.rmSync(tmp, { recursive: true, force: true }); });
+
+  const find = (checks, name) => checks.find(c => c.name === name);
+
+  it('reports a missing user settings file', () => {
+    const check = find(settings.verifySettings({ home, cwd: project }), '~/.claude/settings.json');
+    assert.strictEqual(check.ok, false);
+    assert.strictEqual(check.detail, 'missing');
+  });
+
+  it('reports invalid JSON in project settings', () => {
+    writeJson(path.join(project, '.claude', 'settings.json'), '{oops');
+    const check = find(settings.verifySettings({ home, cwd: project }), '.claude/settings.json');
+    assert.strictEqual(check.ok, false);
+    assert.strictEqual(check.detail, 'invalid JSON');
+  });
+
+  it('passes when every golem hook resolves to an executable script', () => {
+    const script = path.join(home, '.golem', 'hooks', 'block-destructive.sh');
+    fs.writeFileSync(script, '#!/bin/bash\n');
+    fs.chmodSync(script, 0o755);
+    writeJson(path.join(home, '.claude', 'settings.json'), { hooks: { PreToolUse: [bashHook('~/.golem/hooks/block-destructive.sh')] } });
+
+    const checks = settings.verifySettings({ home, cwd: project });
+    assert.ok(checks.every(c => c.ok), JSON.stringify(checks));
+    assert.ok(find(checks, 'Hook scripts').detail.includes('1 golem hook'));
+  });
+
+  it('fails for missing and non-executable hook scripts', () => {
+    fs.writeFileSync(path.join(home, '.golem', 'hooks', 'security-scan.sh'), '#!/bin/bash\n');
+    fs.chmodSync(path.join(home, '.golem', 'hooks', 'security-scan.sh'), 0o644);
+    writeJson(path.join(home, '.claude', 'settings.json'), {
+      hooks: { PreToolUse: [bashHook('~/.golem/hooks/block-push-main.sh'), bashHook('~/.golem/hooks/security-scan.sh')] },
+    });
+
+    const check = find(settings.verifySettings({ home, cwd: project }), 'Hook scripts');
+    assert.strictEqual(check.ok, false);
+    assert.ok(check.detail.includes('block-push-main.sh (user PreToolUse): missing'));
+    assert.ok(check.detail.includes('security-scan.sh (user PreToolUse): not executable'));
+  });
+
+  it('flags duplicate hooks and permission conflicts as optional', () => {
+    writeJson(path.join(home, '.claude', 'settings.json'), {
+      permissions: { allow: ['Bash(curl:*)'] },
+      hooks: { PreToolUse: [bashHook('~/.golem/hooks/block-destructive.sh')] },
+    });
+    writeJson(path.join(project, '.claude', 'settings.json'), {
+      permissions: { deny: ['Bash(curl:*)'] },
+      hooks: { PreToolUse: [bashHook('~/.golem/hooks/block-destructive.sh')] },
+    });
+
+    const checks = settings.verifySettings({ home, cwd: project });
+    const duplicates = find(checks, 'Duplicate hooks');
+    assert.strictEqual(duplicates.ok, false);
+    assert.strictEqual(duplicates.optional, true);
+    assert.ok(duplicates.detail.includes('block-destructive.sh PreToolUse[Bash] (user, project)'));
+
+    const conflicts = find(checks, 'Permission conflicts');
+    assert.strictEqual(conflicts.ok, false);
+    assert.strictEqual(conflicts.optional, true);
+    assert.ok(conflicts.detail.includes('Bash(curl:*)'));
+  });
+});
+
+// ============================================================================
+// mergeSettings / unmergeSettings
+// ============================================================================
+
+describe('mergeSettings', () => {
+  const golem = {
+    permissions: { allow: ['Bash(ls:*)', 'Bash(git status)'], deny: ['Read(./.env)'] },
+    env: { MAX_THINKING_TOKENS: '16000', BASH_MAX_TIMEOUT_MS: '600000' },
+    hooks: { PreToolUse: [bashHook('~/.golem/hooks/block-destructive.sh'), bashHook('~/.golem/hooks/block-push-main.sh')] },
+    includeCoAuthoredBy: true,
+  };
+  const user = {
+    permissions: { allow: ['Bash(docker:*)', 'Bash(ls:*)'] },
+    env: { MAX_THINKING_TOKENS: '32000' },
+    hooks: { PreToolUse: [bashHook('~/.golem/hooks/block-destructive.sh')], Stop: [bashHook('notify')] },
+    includeCoAuthoredBy: false,
+    theme: 'dark',
+  };
+
+  it('unions permissions, keeps user values and appends missing hooks once', () => {
+    const { merged, owned } = settings.mergeSettings(user, golem);
+    assert.deepStrictEqual(merged.permissions.allow, ['Bash(docker:*)', 'Bash(ls:*)', 'Bash(git status)']);
+    assert.deepStrictEqual(merged.permissions.deny, ['Read(./.env)']);
+    assert.deepStrictEqual(merged.env, { MAX_THINKING_TOKENS: '32000', BASH_MAX_TIMEOUT_MS: '600000' });
+    assert.strictEqual(merged.includeCoAuthoredBy, false);
+    assert.strictEqual(merged.theme, 'dark');
+    assert.deepStrictEqual(settings.hookEntries(merged).map(h => h.command), [
+      '~/.golem/hooks/block-destructive.sh', '~/.golem/hooks/block-push-main.sh', 'notify',
+    ]);
+
+    assert.deepStrictEqual(owned.permissions, { allow: ['Bash(git status)'], deny: ['Read(./.env)'] });
+    assert.deepStrictEqual(owned.env, { BASH_MAX_TIMEOUT_MS: '600000' });
+    assert.deepStrictEqual(owned.hooks, [{ event: 'PreToolUse', matcher: 'Bash', command: '~/.golem/hooks/block-push-main.sh' }]);
+    assert.deepStrictEqual(owned.keys, {});
+  });
+
+  it('is idempotent', () => {
+    const once = settings.mergeSettings(user, golem).merged;
+    assert.deepStrictEqual(settings.mergeSettings(once, golem).merged, once);
+  });
+
+  it('does not modify its inputs', () => {
+    const before = JSON.stringify(user);
+    settings.mergeSettings(user, golem);
+    assert.strictEqual(JSON.stringify(user), before);
+  });
+
+  it('unmergeSettings restores the original settings', () => {
+    const { merged, owned } = settings.mergeSettings(user, golem);
+    assert.deepStrictEqual(settings.unmergeSettings(merged, owned), user);
+    const fresh = settings.mergeSettings({}, golem);
+    assert.deepStrictEqual(settings.unmergeSettings(fresh.merged, fresh.owned), {});
+  });
+
+  it('unmergeSettings keeps env values the user changed after install', () => {
+    const { merged, owned } = settings.mergeSettings({}, golem);
+    merged.env.BASH_MAX_TIMEOUT_MS = '900000';
+    assert.deepStrictEqual(settings.unmergeSettings(merged, owned).env, { BASH_MAX_TIMEOUT_MS: '900000' });
+  });
+
+  it('claimExisting owns entries already identical to golem\'s', () => {
+    const { owned } = settings.mergeSettings(golem, golem, { claimExisting: true });
+    assert.strictEqual(owned.hooks.length, 2);
+    assert.deepStrictEqual(owned.permissions.allow, golem.permissions.allow);
+    assert.strictEqual(owned.keys.includeCoAuthoredBy, true);
+  });
+});
@@ -0,0 +1,224 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { spawnSync } = require('child_process');
+
+const stateLib = require('../lib/state.js');
+
+const PKG_ROOT = path.resolve(__dirname, '..');
+const GOLEM_BIN = path.join(PKG_ROOT, 'bin', 'golem');
+
+const LEGACY = {
+  phase: 'in_progress',
+  tasks_total: 2,
+  tasks_completed: '1',
+  created: '2026-02-16T13:03:30Z',
+  target_grade: 'A+',
+  tasks: [
+    { id: 'TASK-001', title: 'One', status: 'done', dependsOn: [] },
+    { id: 'TASK-002', title: 'Two', status: 'pending', depends_on: ['TASK-001'] },
+  ],
+};
+
+describe('migrateState', () => {
+  it('upgrades version-0 state', () => {
+    const { state, applied } = stateLib.migrateState(LEGACY);
+    assert.strictEqual(applied.length, 1);
+    assert.strictEqual(state.schema_version, 1);
+    assert.strictEqual(state.phase, 'building');
+    assert.strictEqual(state.tasks_completed, 1);
+    assert.strictEqual(state.target_grade, 'A+');
+    assert.deepStrictEqual(state.tasks[0], { id: 'TASK-001', title: 'One', status: 'completed', depends_on: [] });
+    assert.deepStrictEqual(stateLib.validateState(state), { valid: true, errors: [] });
+  });
+
+  it('leaves current state alone', () => {
+    const current = stateLib.createState('2026-01-01T00:00:00Z');
+    assert.deepStrictEqual(stateLib.migrateState(current), { state: current, applied: [] });
+  });
+
+  it('refuses state from a newer golem', () => {
+    assert.throws(() => stateLib.migrateState({ schema_version: 99 }), /schema_version 99/);
+  });
+});
+
+describe('validateState', () => {
+  const base = () => stateLib.createState('2026-01-01T00:00:00Z');
+
+  it('accepts fresh state', () => {
+    assert.strictEqual(stateLib.validateState(base()).valid, true);
+  });
+
+  it('reports bad phases, counters and timestamps', () => {
+    const { errors } = stateLib.validateState({ ...base(), phase: 'coding', tasks_total: -1, created: 'yesterday' });
+    assert.strictEqual(errors.length, 3);
+    assert.match(errors[0], /phase must be one of/);
+  });
+
+  it('reports malformed tasks and counters that disagree with them', () => {
+    const { errors } = stateLib.validateState({
+      ...base(),
+      tasks_total: 3,
+      tasks_completed: 1,
+      tasks: [{ id: 'TASK-001', title: 'x', status: 'finished', depends_on: 'none' }],
+    });
+    assert.deepStrictEqual(errors, [
+      'TASK-001: status must be one of: pending, in_progress, completed, blocked',
+      'TASK-001: depends_on must be an array of task IDs',
+      'tasks_total (3) does not match the 1 entries in tasks',
+      'tasks_completed (1) does not match the 0 completed entries in tasks',
+    ]);
+  });
+
+  it('rejects non-objects', () => {
+    assert.strictEqual(stateLib.validateState([]).valid, false);
+  });
+});
+
+describe('readState / writeState', () => {
+  let tmp;
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'golem-state-test-'));
+    fs.mkdirSync(path.join(tmp, '.golem'));
+  });
+  afterEach(() => { fs.rmSync(tmp, { recursive: true, force: true }); });
+
+  it('returns null when missing and throws on invalid JSON', () => {
+    assert.strictEqual(stateLib.readState(tmp), null);
+    fs.writeFileSync(stateLib.getStatePath(tmp), '{nope');
+    assert.throws(() => stateLib.readState(tmp), /not valid JSON/);
+    fs.writeFileSync(stateLib.getStatePath(tmp), '[]');
+    assert.throws(() => stateLib.readState(tmp), /must contain a JSON object/);
+  });
+
+  it('writes via rename and always stamps the current schema_version', () => {
+    stateLib.writeState(tmp, { ...LEGACY, schema_version: 0 });
+    assert.deepStrictEqual(fs.readdirSync(path.join(tmp, '.golem')), ['state.json']);
+    const raw = fs.readFileSync(stateLib.getStatePath(tmp), 'utf-8');
+    assert.ok(raw.startsWith('{\n  "schema_version": 1,'));
+  });
+
+  it('updateState migrates, mutates and saves under the lock', () => {
+    fs.writeFileSync(stateLib.getStatePath(tmp), JSON.stringify(LEGACY));
+    stateLib.updateState(tmp, state => ({ ...state, phase: 'complete' }));
+    const saved = JSON.parse(fs.readFileSync(stateLib.getStatePath(tmp), 'utf-8'));
+    assert.strictEqual(saved.schema_version, 1);
+    assert.strictEqual(saved.phase, 'complete');
+    assert.strictEqual(stateLib.readLock(tmp), null);
+  });
+});
+
+describe('acquireLock', () => {
+  let tmp;
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'golem-state-test-'));
+    fs.mkdirSync(path.join(tmp, '.golem'));
+  });
+  afterEach(() => { fs.rmSync(tmp, { recursive: true, force: true }); });
+
+  const writeLock = lock => fs.writeFileSync(stateLib.getLockPath(tmp), JSON.stringify(lock));
+
+  it('is exclusive until released', () => {
+    const lock = stateLib.acquireLock(tmp, { command: 'golem build', env: {} });
+    assert.throws(() => stateLib.acquireLock(tmp, { env: {} }), err => {
+      assert.match(err.message, /locked by golem build \(pid \d+\)/);
+      assert.strictEqual(err.lock.token, lock.token);
+      return true;
+    });
+    lock.release();
+    assert.strictEqual(fs.existsSync(stateLib.getLockPath(tmp)), false);
+  });
+
+  it('is re-entrant for processes holding the token', () => {
+    const outer = stateLib.acquireLock(tmp, { env: {} });
+    const inner = stateLib.acquireLock(tmp, { env: { [stateLib.LOCK_ENV]: outer.token } });
+    inner.release();
+    assert.strictEqual(stateLib.readLock(tmp).token, outer.token);
+    outer.release();
+  });
+
+  it('takes over locks whose process is gone', () => {
+    const dead = spawnSync(process.execPath, ['-e', 'process.stdout.write(String(process.pid))'], { encoding: 'utf-8' });
+    writeLock({ pid: Number(dead.stdout), host: os.hostname(), command: 'golem build', created: new Date().toISOString(), token: 'old' });
+    const lock = stateLib.acquireLock(tmp, { env: {} });
+    assert.notStrictEqual(stateLib.readLock(tmp).token, 'old');
+    lock.release();
+  });
+
+  it('expires locks from other hosts only by age', () => {
+    const lock = { pid: 1, host: 'elsewhere', command: 'golem build', token: 't' };
+    assert.strictEqual(stateLib.isStale({ ...lock, created: new Date().toISOString() }, Date.now()), false);
+    assert.strictEqual(stateLib.isStale({ ...lock, created: '2020-01-01T00:00:00Z' }, Date.now()), true);
+  });
+
+  it('does not release a lock someone else took over', () => {
+    const lock = stateLib.acquireLock(tmp, { env: {} });
+    writeLock({ pid: process.pid, host: os.hostname(), command: 'other', created: new Date().toISOString(), token: 'theirs' });
+    lock.release();
+    assert.strictEqual(stateLib.readLock(tmp).token, 'theirs');
+  });
+});
+
+describe('golem state validate / locked commands', () => {
+  let tmp;
+
+  function runGolem(args, env = {}) {
+    return spawnSync(process.execPath, [GOLEM_BIN, ...args], {
+      cwd: tmp,
+      env: { ...process.env, HOME: tmp, NO_COLOR: '1', ...env },
+      encoding: 'utf-8',
+      timeout: 10000,
+    });
+  }
+
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'golem-state-cli-test-'));
+    fs.mkdirSync(path.join(tmp, '.golem'));
+  });
+  afterEach(() => { fs.rmSync(tmp, { recursive: true, force: true }); });
+
+  it('reports pending migrations for legacy state', () => {
+    fs.writeFileSync(stateLib.getStatePath(tmp), JSON.stringify(LEGACY));
+    const result = runGolem(['state', 'validate', '--json']);
+    assert.strictEqual(result.status, 0, result.stdout);
+    const json = JSON.parse(result.stdout);
+    assert.strictEqual(json.schema_version, 0);
+    assert.strictEqual(json.migrations.length, 1);
+    assert.strictEqual(json.lock, null);
+  });
+
+  it('exits 1 on schema problems', () => {
+    fs.writeFileSync(stateLib.getStatePath(tmp), JSON.stringify({ phase: 'coding', created: 'x' }));
+    const result = runGolem(['state', 'validate']);
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stdout, /phase must be one of/);
+  });
+
+  it('golem reset refuses while another process holds the lock', () => {
+    fs.writeFileSync(stateLib.getStatePath(tmp), JSON.stringify(LEGACY));
+    const lock = stateLib.acquireLock(tmp, { command: 'golem build', env: {} });
+    try {
+      const refused = runGolem(['reset']);
+      assert.strictEqual(refused.status, 1);
+      assert.match(refused.stderr, /locked by golem build/);
+      assert.strictEqual(runGolem(['reset'], { [stateLib.LOCK_ENV]: lock.token }).status, 0);
+    } finally {
+      lock.release();
+    }
+  });
+
+  it('holds the lock during a headless run and passes the token down', () => {
+    const binDir = path.join(tmp, 'bin');
+    fs.mkdirSync(binDir);
+    fs.writeFileSync(path.join(binDir, 'claude'), '#!/bin/sh\necho "token=$GOLEM_STATE_LOCK"\ncat .golem/state.lock\n', { mode: 0o755 });
+    fs.writeFileSync(stateLib.getStatePath(tmp), JSON.stringify(stateLib.createState()));
+    const result = runGolem(['discuss', 'auth'], { PATH: `${binDir}${path.delimiter}${process.env.PATH}` });
+    assert.strictEqual(result.status, 0, result.stderr);
+    const token = result.stdout.match(/token=(\w+)/)[1];
+    assert.ok(result.stdout.includes(`"token": "${token}"`));
+    assert.ok(result.stdout.includes('"command": "golem discuss"'));
+    assert.strictEqual(fs.existsSync(stateLib.getLockPath(tmp)), false);
+  });
+});
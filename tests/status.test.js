@@ -0,0 +1,110 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { spawnSync } = require('child_process');
+
+const status = require('../lib/status.js');
+
+const PKG_ROOT = path.resolve(__dirname, '..');
+const GOLEM_BIN = path.join(PKG_ROOT, 'bin', 'golem');
+
+const PLAN = [
+  '# Implementation Plan',
+  '### TASK-001: Schema',
+  '- **Status**: completed',
+  '- **Depends on**: none',
+  '- **Tests**: `schema.test.ts`',
+  '### TASK-002: API',
+  '- **Status**: in_progress',
+  '- **Depends on**: TASK-001',
+  '- **Tests**: `api.test.ts`',
+  '### TASK-003: UI',
+  '- **Status**: pending',
+  '- **Depends on**: TASK-002',
+  '- **Tests**: `ui.test.ts`',
+  '### TASK-004: Docs',
+  '- **Status**: blocked',
+  '- **Depends on**: none',
+  '- **Tests**: none',
+].join('\n');
+
+describe('status report', () => {
+  let tmp, logsDir;
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'golem-status-test-'));
+    logsDir = path.join(tmp, '.golem', 'logs');
+    fs.mkdirSync(logsDir, { recursive: true });
+    fs.mkdirSync(path.join(tmp, '.golem', 'plans'));
+    fs.writeFileSync(path.join(tmp, '.golem', 'plans', 'current.md'), PLAN);
+  });
+  afterEach(() => { fs.rmSync(tmp, { recursive: true, force: true }); });
+
+  it('reads blockers from both log formats', () => {
+    fs.writeFileSync(path.join(logsDir, 'blocked-TASK-004.md'), '# BLOCKED: TASK-004 — Docs\n## Reason:\nWaiting on copy\n');
+    fs.writeFileSync(path.join(logsDir, 'blocked-TASK-009.md'), '# BLOCKED: TASK-009 — Sync\n## Phase that failed: GREEN\n## Root cause analysis:\n\nFlaky upstream API\n');
+    fs.writeFileSync(path.join(logsDir, 'build-1.md'), 'not a blocker');
+    assert.deepStrictEqual(status.readBlockers(tmp), [
+      { task: 'TASK-004', title: 'Docs', reason: 'Waiting on copy', file: path.join('.golem', 'logs', 'blocked-TASK-004.md') },
+      { task: 'TASK-009', title: 'Sync', reason: 'Flaky upstream API', file: path.join('.golem', 'logs', 'blocked-TASK-009.md') },
+    ]);
+  });
+
+  it('reads the last file change from either hook format', () => {
+    const log = path.join(logsDir, 'file-changes.log');
+    fs.writeFileSync(log, '2026-03-01T10:00:00 src/a.ts\n2026-03-01T11:30:00 src/b.ts\n\n');
+    assert.deepStrictEqual(status.lastActivity(tmp), { at: '2026-03-01T11:30:00', file: 'src/b.ts' });
+    fs.writeFileSync(log, '09:15:00 WRITE: src/c.ts\n');
+    const mtime = new Date('2026-04-02T12:00:00Z');
+    fs.utimesSync(log, mtime, mtime);
+    assert.deepStrictEqual(status.lastActivity(tmp), { at: '2026-04-02T09:15:00', file: 'src/c.ts' });
+  });
+
+  it('returns null activity without a log', () => {
+    assert.strictEqual(status.lastActivity(tmp), null);
+  });
+
+  it('measures time in phase from phase_started', () => {
+    const now = new Date('2026-01-02T00:00:00Z');
+    assert.strictEqual(status.phaseElapsed({ phase: 'building', phase_started: '2026-01-01T23:00:00Z' }, now), 3600);
+    assert.strictEqual(status.phaseElapsed({ phase: 'initialized', created: '2026-01-01T00:00:00Z' }, now), 86400);
+    assert.strictEqual(status.phaseElapsed({ phase: 'building', created: '2026-01-01T00:00:00Z' }, now), null);
+    assert.strictEqual(status.formatDuration(3725), '1h 2m');
+  });
+
+  it('combines plan, blockers and activity', () => {
+    fs.writeFileSync(path.join(logsDir, 'blocked-TASK-004.md'), '# BLOCKED: TASK-004 — Docs\n## Reason:\nWaiting\n');
+    fs.writeFileSync(path.join(logsDir, 'blocked-TASK-001.md'), '# BLOCKED: TASK-001 — Schema\n## Reason:\nStale\n');
+    const report = status.buildStatus(tmp, { phase: 'building', tasks_completed: 9, tasks_total: 9 });
+    assert.strictEqual(report.tasks_completed, 1);
+    assert.strictEqual(report.tasks_total, 4);
+    assert.deepStrictEqual(report.current_task, { id: 'TASK-002', title: 'API' });
+    assert.deepStrictEqual(report.critical_path, ['TASK-002', 'TASK-003']);
+    assert.deepStrictEqual(report.blockers.map(b => b.task), ['TASK-004']);
+    assert.strictEqual(report.tasks[1].status, 'in_progress');
+  });
+
+  it('falls back to state counters without a plan', () => {
+    fs.rmSync(path.join(tmp, '.golem', 'plans'), { recursive: true });
+    const report = status.buildStatus(tmp, { phase: 'specced', tasks_completed: 2, tasks_total: 5 });
+    assert.strictEqual(report.plan, null);
+    assert.deepStrictEqual([report.tasks_completed, report.tasks_total, report.tasks, report.critical_path], [2, 5, [], []]);
+  });
+
+  it('golem status --json includes the task-level fields', () => {
+    fs.writeFileSync(path.join(tmp, '.golem', 'state.json'), JSON.stringify({ phase: 'building', phase_started: '2026-01-01T00:00:00Z' }));
+    fs.writeFileSync(path.join(logsDir, 'file-changes.log'), '2026-03-01T10:00:00 src/a.ts\n');
+    const result = spawnSync(process.execPath, [GOLEM_BIN, 'status', '--json'], { cwd: tmp, encoding: 'utf-8', timeout: 10000 });
+    assert.strictEqual(result.status, 0, result.stderr);
+    const json = JSON.parse(result.stdout);
+    assert.strictEqual(json.current_task.id, 'TASK-002');
+    assert.strictEqual(json.last_activity.file, 'src/a.ts');
+    assert.ok(json.phase_elapsed_seconds > 0);
+    assert.ok('git' in json);
+
+    const human = spawnSync(process.execPath, [GOLEM_BIN, 'status'], { cwd: tmp, encoding: 'utf-8', timeout: 10000, env: { ...process.env, NO_COLOR: '1' } });
+    assert.match(human.stdout, /Current: {3}TASK-002: API/);
+    assert.match(human.stdout, /Critical: {2}TASK-002 → TASK-003/);
+  });
+});
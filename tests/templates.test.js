@@ -0,0 +1,134 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { spawnSync } = require('child_process');
+
+const templates = require('../lib/templates.js');
+
+const PKG_ROOT = path.resolve(__dirname, '..');
+const GOLEM_BIN = path.join(PKG_ROOT, 'bin', 'golem');
+
+const { CLAUDECODE: _cc, GOLEM_STATE_LOCK: _lock, ...HUMAN_ENV } = process.env;
+
+function writeFile(file, content) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+}
+
+const messages = issues => issues.map(i => `${i.level} ${i.line}: ${i.message}`);
+
+describe('template lint', () => {
+  it('checks required keys and tool names', () => {
+    assert.deepStrictEqual(messages(templates.lintTemplate('---\ndescription: Scan\nallowed-tools: Read, Raed, Bash(git log:*), mcp__pg__query\n---\nScan.\n', 'command')),
+      ['error 3: Unknown tool "Raed" in allowed-tools']);
+    assert.deepStrictEqual(messages(templates.lintTemplate('---\ndescription: Reviews\ntools: [Read, Grep]\ncolour: red\n---\n', 'agent')),
+      ['error 1: Missing required key "name"', 'warning 4: Unknown agent key "colour" (known: name, description, tools, model, color)']);
+    assert.match(messages(templates.lintTemplate('# Scan\n', 'command'))[0], /error 1: No frontmatter; a command needs description/);
+    assert.match(messages(templates.lintTemplate('---\ndescription: Read-only: no fixes\n---\n', 'command'))[0], /error 2: Invalid frontmatter: .*quote the value/);
+  });
+
+  it('skips paths that do not exist', () => {
+    assert.deepStrictEqual(templates.findTemplates([path.join(os.tmpdir(), 'golem-no-such-templates-dir')]), []);
+  });
+
+  it('matches $ARGUMENTS to the argument hint', () => {
+    assert.deepStrictEqual(messages(templates.lintTemplate('---\ndescription: Greet\nargument-hint: <name>\n---\nSay hi to $ARGUMENTS.\n', 'command')), []);
+    assert.deepStrictEqual(messages(templates.lintTemplate('---\ndescription: Greet\nargument-hint: <name>\n---\nSay hi.\n', 'command')),
+      ['error 3: argument-hint is "<name>" but the command never uses $ARGUMENTS']);
+    assert.deepStrictEqual(messages(templates.lintTemplate('---\ndescription: Greet\n---\nSay hi to $1.\n', 'command')),
+      ['error 1: Uses $ARGUMENTS but declares no argument-hint']);
+    // awk fields in a code block are not arguments
+    assert.deepStrictEqual(messages(templates.lintTemplate("---\ndescription: Count\n---\n```bash\nwc -l | awk '$1 > 5'\n```\n", 'command')), []);
+    assert.deepStrictEqual(messages(templates.lintTemplate('---\ndescription: Tidy\nargument-hint: [path]\n---\nTidy $ARGUMENTS.\n', 'command')),
+      ['warning 3: argument-hint reads as a YAML list; quote it: "[path]"']);
+  });
+
+  it('flags .golem/ files nothing writes', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'golem-templates-test-'));
+    try {
+      const commands = path.join(tmp, 'commands');
+      writeFile(path.join(commands, 'golem-pause.md'), '---\ndescription: Pause\n---\nRead `.golem/IMPLEMENTATION_PLAN.md` and `.golem/plans/current.md`.\nWrite `.golem/HANDOFF.md`.\nLogs are in `.golem/logs` and ~/.golem/skills/.\n');
+      writeFile(path.join(commands, 'golem-continue.md'), '---\ndescription: Continue\n---\nRead `.golem/HANDOFF.md` and `.golem/recon-latest.md`.\n');
+      writeFile(path.join(tmp, 'other', 'golem-recon.md'), '---\ndescription: Recon\n---\nSave to `.golem/recon-$(date +%s).md`.\n');
+      const results = templates.lintTemplates(templates.findTemplates([tmp]), { producers: [{ file: path.join(tmp, 'other', 'golem-recon.md') }] });
+      assert.deepStrictEqual(results.map(r => [path.basename(r.file), messages(r.issues)]), [
+        ['golem-continue.md', []],
+        ['golem-pause.md', ['error 4: Reads .golem/IMPLEMENTATION_PLAN.md, which no golem command or template writes']],
+      ]);
+    } finally {
+      fs.rmSync(tmp, { recursive: true, force: true });
+    }
+  });
+
+  it('passes every shipped template', () => {
+    const found = templates.findTemplates([path.join(PKG_ROOT, 'project-scope'), path.join(PKG_ROOT, 'user-scope')]);
+    assert.ok(found.some(t => t.kind === 'agent') && found.some(t => t.kind === 'command'));
+    for (const result of templates.lintTemplates(found)) {
+      assert.deepStrictEqual(messages(result.issues), [], path.relative(PKG_ROOT, result.file));
+    }
+  });
+});
+
+describe('golem templates lint', () => {
+  let tmp;
+
+  function runGolem(args) {
+    return spawnSync(process.execPath, [GOLEM_BIN, ...args], {
+      cwd: tmp,
+      env: { ...HUMAN_ENV, HOME: tmp, NO_COLOR: '1' },
+      encoding: 'utf-8',
+      timeout: 10000,
+    });
+  }
+
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'golem-templates-cli-test-'));
+    writeFile(path.join(tmp, '.claude', 'commands', 'golem-review.md'), '---\ndescription: Review\n---\nReview the diff.\n');
+    writeFile(path.join(tmp, '.claude', 'agents', 'reviewer.md'), '---\nname: reviewer\ndescription: Reviews\ntools: Read, Grep\n---\n');
+  });
+  afterEach(() => { fs.rmSync(tmp, { recursive: true, force: true }); });
+
+  it('lints the project commands and agents', () => {
+    const result = runGolem(['templates', 'lint']);
+    assert.strictEqual(result.status, 0, result.stdout);
+    assert.match(result.stdout, /2 file\(s\)/);
+    assert.match(result.stdout, /All templates are valid/);
+  });
+
+  it('reports problems and exits 1', () => {
+    writeFile(path.join(tmp, '.claude', 'commands', 'golem-greet.md'), '---\ndescription: Greet\nallowed-tools: Shell\n---\nHi $ARGUMENTS\n');
+    const result = runGolem(['templates', 'lint']);
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stdout, /\.claude\/commands\/golem-greet\.md \(command\)/);
+    assert.match(result.stdout, /✗ line 3: Unknown tool "Shell" in allowed-tools/);
+    assert.match(result.stdout, /2 error\(s\), 0 warning\(s\)/);
+
+    const json = JSON.parse(runGolem(['templates', 'lint', '.claude/commands/golem-greet.md', '--json']).stdout);
+    assert.strictEqual(json.valid, false);
+    assert.strictEqual(json.files, 1);
+    assert.deepStrictEqual(json.results[0].issues.map(i => i.line), [1, 3]);
+  });
+
+  it('says no templates were found when there are none and golem is not installed', () => {
+    fs.rmSync(path.join(tmp, '.claude'), { recursive: true });
+    const result = runGolem(['templates', 'lint']);
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /No command or agent templates found/);
+    assert.doesNotMatch(result.stdout, /Cannot read file/);
+  });
+
+  it('reports an unreadable config file like every other command', () => {
+    writeFile(path.join(tmp, '.golem', 'config.json'), '{oops');
+    const result = runGolem(['templates', 'lint']);
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /config\.json/);
+    assert.match(result.stderr, /Fix the JSON by hand/);
+  });
+
+  it('rejects unknown subcommands and missing paths', () => {
+    assert.match(runGolem(['templates', 'check']).stderr, /Unknown templates subcommand: check/);
+    assert.match(runGolem(['templates', 'lint', 'nope.md']).stderr, /No such file or directory: nope\.md/);
+  });
+});
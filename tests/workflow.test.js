@@ -0,0 +1,153 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { spawnSync } = require('child_process');
+
+const workflow = require('../lib/workflow.js');
+const stateLib = require('../lib/state.js');
+const events = require('../lib/events.js');
+
+const PKG_ROOT = path.resolve(__dirname, '..');
+const GOLEM_BIN = path.join(PKG_ROOT, 'bin', 'golem');
+
+const { CLAUDECODE: _cc, GOLEM_STATE_LOCK: _lock, ...HUMAN_ENV } = process.env;
+
+describe('phase state machine', () => {
+  let tmp;
+  beforeEach(() => { tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'golem-workflow-test-')); });
+  afterEach(() => { fs.rmSync(tmp, { recursive: true, force: true }); });
+
+  it('declares every phase', () => {
+    assert.deepStrictEqual(Object.keys(workflow.TRANSITIONS), stateLib.PHASES);
+  });
+
+  it('gates only enter and succeed through declared transitions', () => {
+    for (const [command, gate] of Object.entries(workflow.GATES)) {
+      for (const phase of gate.from) {
+        if (gate.enter) assert.ok(phase === gate.enter || workflow.canTransition(phase, gate.enter), `${command}: ${phase} → ${gate.enter}`);
+        if (gate.success) assert.ok(workflow.canTransition(phase, gate.success), `${command}: ${phase} → ${gate.success}`);
+      }
+    }
+  });
+
+  it('lets a command start from every phase declared to lead into its phase', () => {
+    for (const [from, targets] of Object.entries(workflow.TRANSITIONS)) {
+      for (const to of targets.filter(t => t !== from)) {
+        const entering = Object.values(workflow.GATES).filter(g => g.enter === to);
+        if (entering.length) assert.ok(entering.some(g => g.from.includes(from)), `${from} → ${to}`);
+      }
+    }
+    assert.strictEqual(workflow.checkGate('build', { phase: 'complete', cwd: tmp }).ok, false);
+    fs.mkdirSync(path.join(tmp, '.golem', 'plans'), { recursive: true });
+    fs.writeFileSync(path.join(tmp, '.golem', 'plans', 'current.md'), '# Plan\n');
+    assert.strictEqual(workflow.checkGate('build', { phase: 'complete', cwd: tmp }).ok, true);
+  });
+
+  it('allows reset from anywhere and nothing undeclared', () => {
+    assert.strictEqual(workflow.canTransition('building', 'initialized'), true);
+    assert.strictEqual(workflow.canTransition('initialized', 'building'), false);
+    assert.strictEqual(workflow.canTransition('blocked', 'building'), true);
+  });
+
+  it('refuses commands before their prerequisite phase', () => {
+    const verdict = workflow.checkGate('build', { phase: 'specced', cwd: tmp });
+    assert.strictEqual(verdict.ok, false);
+    assert.match(verdict.message, /Cannot run golem build in phase "specced": it runs after golem plan/);
+    assert.match(verdict.suggestion, /golem plan first, or pass --force/);
+  });
+
+  it('refuses commands whose input artifact is missing', () => {
+    const verdict = workflow.checkGate('build', { phase: 'planned', cwd: tmp });
+    assert.match(verdict.message, /needs \.golem\/plans\/current\.md, which golem plan produces/);
+    fs.mkdirSync(path.join(tmp, '.golem', 'plans'), { recursive: true });
+    fs.writeFileSync(path.join(tmp, '.golem', 'plans', 'current.md'), '# plan');
+    assert.deepStrictEqual(workflow.checkGate('build', { phase: 'planned', cwd: tmp }), { ok: true });
+  });
+
+  it('refuses a new discussion mid-build, release before completion, and uninitialized projects', () => {
+    assert.match(workflow.checkGate('discuss', { phase: 'building', cwd: tmp }).message, /build is in progress/);
+    assert.strictEqual(workflow.checkGate('discuss', { phase: 'released', cwd: tmp }).ok, true);
+    assert.strictEqual(workflow.checkGate('release', { phase: 'blocked', cwd: tmp }).ok, false);
+    assert.strictEqual(workflow.checkGate('release', { phase: 'complete', cwd: tmp }).ok, true);
+    assert.strictEqual(workflow.checkGate('spec', { phase: null, cwd: tmp }).suggestion, 'Run: golem init');
+    assert.strictEqual(workflow.checkGate('sweep', { phase: null, cwd: tmp }).ok, true);
+  });
+});
+
+describe('workflow gates in the CLI', () => {
+  let tmp, binDir;
+
+  function runGolem(args, env = {}) {
+    return spawnSync(process.execPath, [GOLEM_BIN, ...args], {
+      cwd: tmp,
+      env: { ...HUMAN_ENV, HOME: tmp, NO_COLOR: '1', PATH: `${binDir}${path.delimiter}${process.env.PATH}`, ...env },
+      encoding: 'utf-8',
+      timeout: 10000,
+    });
+  }
+
+  const writePhase = phase => stateLib.writeState(tmp, { ...stateLib.createState(), phase });
+  const phase = () => stateLib.readState(tmp).state.phase;
+
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'golem-workflow-cli-test-'));
+    binDir = path.join(tmp, 'bin');
+    fs.mkdirSync(binDir);
+    fs.mkdirSync(path.join(tmp, '.golem'));
+    // Stub claude: echo the prompt and, if asked, move the phase like a slash command would
+    fs.writeFileSync(path.join(binDir, 'claude'), [
+      '#!/bin/sh',
+      'echo "claude $2"',
+      'if [ -n "$STUB_PHASE" ]; then node -e "const f=\'.golem/state.json\';const s=JSON.parse(require(\'fs\').readFileSync(f));s.phase=process.env.STUB_PHASE;require(\'fs\').writeFileSync(f,JSON.stringify(s))"; fi',
+      '',
+    ].join('\n'), { mode: 0o755 });
+  });
+  afterEach(() => { fs.rmSync(tmp, { recursive: true, force: true }); });
+
+  it('refuses golem build without a plan', () => {
+    writePhase('specced');
+    const result = runGolem(['build']);
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /Cannot run golem build in phase "specced"/);
+    assert.doesNotMatch(result.stdout, /claude/);
+  });
+
+  it('--force overrides, is stripped from the prompt and is journaled', () => {
+    writePhase('initialized');
+    const result = runGolem(['spec', '--force', 'extra']);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.match(result.stdout, /claude \/golem-spec extra$/m);
+    assert.match(result.stderr, /--force: Cannot run golem spec/);
+    const [override] = events.readEvents(tmp, { type: 'override' }).events;
+    assert.strictEqual(override.command, 'golem spec');
+    assert.strictEqual(override.phase, 'initialized');
+  });
+
+  it('golem build moves the project into building', () => {
+    writePhase('planned');
+    fs.mkdirSync(path.join(tmp, '.golem', 'plans'));
+    fs.writeFileSync(path.join(tmp, '.golem', 'plans', 'current.md'), '# plan');
+    assert.strictEqual(runGolem(['build']).status, 0);
+    assert.strictEqual(phase(), 'building');
+    const [entered] = events.readEvents(tmp, { type: 'phase' }).events;
+    assert.deepStrictEqual([entered.from, entered.to, entered.command], ['planned', 'building', 'golem build']);
+  });
+
+  it('a successful release marks the project released', () => {
+    writePhase('complete');
+    assert.strictEqual(runGolem(['release', 'minor']).status, 0);
+    assert.strictEqual(phase(), 'released');
+    assert.deepStrictEqual(events.readEvents(tmp).events.map(e => e.type), ['release', 'phase']);
+  });
+
+  it('journals phase changes the agent makes and flags undeclared ones', () => {
+    writePhase('initialized');
+    const result = runGolem(['discuss', 'topic'], { STUB_PHASE: 'planned' });
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.match(result.stderr, /Phase moved initialized → planned, which the workflow does not declare/);
+    const [moved] = events.readEvents(tmp, { type: 'phase' }).events;
+    assert.deepStrictEqual([moved.actor, moved.from, moved.to, moved.undeclared], ['agent', 'initialized', 'planned', true]);
+  });
+});
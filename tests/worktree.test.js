@@ -0,0 +1,225 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { spawnSync } = require('child_process');
+
+const worktree = require('../lib/worktree.js');
+const plan = require('../lib/plan.js');
+const stateLib = require('../lib/state.js');
+
+const PKG_ROOT = path.resolve(__dirname, '..');
+const GOLEM_BIN = path.join(PKG_ROOT, 'bin', 'golem');
+
+const { CLAUDECODE: _cc, GOLEM_STATE_LOCK: _lock, ...HUMAN_ENV } = process.env;
+const GIT_ENV = { GIT_AUTHOR_NAME: 't', GIT_AUTHOR_EMAIL: 't@t', GIT_COMMITTER_NAME: 't', GIT_COMMITTER_EMAIL: 't@t' };
+const git = (cwd, ...args) => spawnSync('git', args, { cwd, stdio: 'pipe', encoding: 'utf-8', env: { ...process.env, ...GIT_ENV } });
+
+function task(id, file, { status = 'pending', deps = 'none' } = {}) {
+  return [
+    `### ${id}: Do ${id}`,
+    `- **Status**: ${status}`,
+    `- **Depends on**: ${deps}`,
+    '- **Files**:',
+    `  - CREATE \`${file}\` — thing`,
+    '- **Tests**:',
+    '  - CREATE `test/a.test.js`',
+    '',
+  ].join('\n');
+}
+
+function makeRepo() {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'golem-worktree-test-'));
+  git(tmp, 'init', '-q');
+  fs.writeFileSync(path.join(tmp, '.gitignore'), '.golem/\n.claude/\nbin/\n');
+  git(tmp, 'add', '.gitignore');
+  git(tmp, 'commit', '-qm', 'init');
+  fs.mkdirSync(path.join(tmp, '.golem', 'plans'), { recursive: true });
+  fs.mkdirSync(path.join(tmp, '.claude', 'commands'), { recursive: true });
+  fs.writeFileSync(path.join(tmp, '.claude', 'commands', 'golem-build.md'), '# build');
+  return tmp;
+}
+
+describe('createWorktree', () => {
+  let tmp;
+  beforeEach(() => {
+    tmp = makeRepo();
+    fs.writeFileSync(plan.getPlanPath(tmp), task('TASK-001', 'a.js'));
+    fs.mkdirSync(path.join(tmp, '.golem', 'runs', 'old'), { recursive: true });
+    stateLib.writeState(tmp, stateLib.createState());
+  });
+  afterEach(() => { fs.rmSync(tmp, { recursive: true, force: true }); });
+
+  it('branches from HEAD and seeds .claude/ and .golem/', () => {
+    const created = worktree.createWorktree(tmp, { name: 'task-001', branch: 'golem/task-001' });
+    assert.strictEqual(created.path, path.join(tmp, '.golem', 'worktrees', 'task-001'));
+    assert.strictEqual(git(created.path, 'rev-parse', '--abbrev-ref', 'HEAD').stdout.trim(), 'golem/task-001');
+    assert.ok(fs.existsSync(path.join(created.path, '.claude', 'commands', 'golem-build.md')));
+    assert.ok(fs.existsSync(plan.getPlanPath(created.path)));
+    assert.strictEqual(stateLib.readState(created.path).state.phase, 'initialized');
+    assert.strictEqual(fs.existsSync(path.join(created.path, '.golem', 'runs')), false);
+    assert.strictEqual(worktree.commitsAhead(tmp, created.base, created.branch), 0);
+  });
+
+  it('gives a fresh worktree its own state but not the plan', () => {
+    fs.writeFileSync(path.join(tmp, '.golem', 'config.json'), '{"maxRetries":1}');
+    stateLib.writeState(tmp, { ...stateLib.createState(), phase: 'planned' });
+    const created = worktree.createWorktree(tmp, { name: 'auth', branch: 'feature/auth', fresh: true });
+    assert.ok(fs.existsSync(path.join(created.path, '.claude', 'commands', 'golem-build.md')));
+    assert.ok(fs.existsSync(path.join(created.path, '.golem', 'config.json')));
+    assert.strictEqual(fs.existsSync(plan.getPlanPath(created.path)), false);
+    assert.strictEqual(stateLib.readState(created.path).state.phase, 'initialized');
+  });
+
+  it('lists and removes worktrees, keeping the branch', () => {
+    const created = worktree.createWorktree(tmp, { name: 'auth', branch: 'feature/auth', fresh: true });
+    const listed = worktree.listWorktrees(tmp);
+    assert.deepStrictEqual(listed.map(wt => [wt.branch, wt.main, wt.golem]), [[listed[0].branch, true, true], ['feature/auth', false, true]]);
+    assert.strictEqual(worktree.findWorktree(tmp, 'auth').branch, 'feature/auth');
+    assert.strictEqual(worktree.findWorktree(tmp, 'nope'), null);
+    worktree.removeWorktree(tmp, created.path);
+    assert.strictEqual(fs.existsSync(created.path), false);
+    assert.strictEqual(worktree.listWorktrees(tmp).length, 1);
+    assert.strictEqual(git(tmp, 'rev-parse', '--verify', '-q', 'feature/auth').status, 0);
+  });
+
+  it('refuses to reuse a worktree or branch', () => {
+    worktree.createWorktree(tmp, { name: 'task-001', branch: 'golem/task-001' });
+    assert.throws(() => worktree.createWorktree(tmp, { name: 'task-001', branch: 'golem/other' }), /already exists/);
+    assert.throws(() => worktree.createWorktree(tmp, { name: 'other', branch: 'golem/task-001' }), /already exists/);
+  });
+
+  it('refuses when git does not ignore .golem/worktrees/', () => {
+    fs.writeFileSync(path.join(tmp, '.gitignore'), 'bin/\n');
+    assert.strictEqual(worktree.isWorktreesDirIgnored(tmp), false);
+    assert.throws(() => worktree.createWorktree(tmp, { name: 'task-001', branch: 'golem/task-001' }), /git does not ignore \.golem\/worktrees\//);
+    assert.strictEqual(fs.existsSync(path.join(tmp, '.golem', 'worktrees')), false);
+    fs.writeFileSync(path.join(tmp, '.git', 'info', 'exclude'), '.golem/\n');
+    assert.strictEqual(worktree.isWorktreesDirIgnored(tmp), true);
+  });
+});
+
+describe('golem build --parallel', () => {
+  let tmp, binDir;
+
+  function runGolem(args, env = {}) {
+    return spawnSync(process.execPath, [GOLEM_BIN, ...args], {
+      cwd: tmp,
+      env: { ...HUMAN_ENV, ...GIT_ENV, HOME: tmp, NO_COLOR: '1', PATH: `${binDir}${path.delimiter}${process.env.PATH}`, ...env },
+      encoding: 'utf-8',
+      timeout: 30000,
+    });
+  }
+
+  beforeEach(() => {
+    tmp = makeRepo();
+    binDir = path.join(tmp, 'bin');
+    fs.mkdirSync(binDir);
+    // Stub claude: build the scoped task — commit a file and mark it done — unless it is STUB_FAIL
+    fs.writeFileSync(path.join(binDir, 'claude'), [
+      '#!/bin/sh',
+      'id=$(echo "$2" | sed -n "s/.*--task \\(TASK-[0-9]*\\).*/\\1/p")',
+      'echo "building $id"',
+      '[ "$id" = "$STUB_FAIL" ] && exit 1',
+      'echo "$id" > "$id.txt" && git add "$id.txt" && git commit -qm "feat: $id"',
+      `"${process.execPath}" "${GOLEM_BIN}" tasks done "$id" > /dev/null`,
+      '',
+    ].join('\n'), { mode: 0o755 });
+    fs.writeFileSync(plan.getPlanPath(tmp), [
+      task('TASK-001', 'a.js'),
+      task('TASK-002', 'b.js'),
+      task('TASK-003', 'c.js', { deps: 'TASK-001' }),
+      task('TASK-004', 'd.js'),
+    ].join(''));
+    stateLib.writeState(tmp, { ...stateLib.createState(), phase: 'planned' });
+  });
+  afterEach(() => { fs.rmSync(tmp, { recursive: true, force: true }); });
+
+  it('builds independent tasks in their own worktrees and reports branches ready to merge', () => {
+    const result = runGolem(['build', '--parallel', '2']);
+    assert.strictEqual(result.status, 0, result.stderr + result.stdout);
+    assert.match(result.stdout, /Building TASK-001, TASK-002 in parallel/);
+    assert.match(result.stdout, /\[TASK-001\] building TASK-001/);
+    assert.match(result.stdout, /✓ TASK-001\s+golem\/task-001\s+1 commit\(s\)\s+ready to merge/);
+    assert.match(result.stdout, /git merge golem\/task-001 golem\/task-002/);
+    assert.match(result.stdout, /golem tasks done TASK-001 && golem tasks done TASK-002/);
+    assert.strictEqual(git(tmp, 'show', 'golem/task-002:TASK-002.txt').stdout, 'TASK-002\n');
+    // The main tree only moves into building; tasks complete when their branches merge
+    assert.strictEqual(stateLib.readState(tmp).state.phase, 'building');
+    assert.strictEqual(plan.readPlan(plan.getPlanPath(tmp)).tasks[0].status, 'pending');
+  });
+
+  it('exits 1 and says which branch is not ready', () => {
+    const result = runGolem(['build', '--parallel', '3'], { STUB_FAIL: 'TASK-002' });
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stdout, /Building TASK-001, TASK-002, TASK-004 in parallel/);
+    assert.match(result.stdout, /✗ TASK-002\s+golem\/task-002\s+0 commit\(s\)\s+exit 1, task pending/);
+    assert.match(result.stdout, /git merge golem\/task-001 golem\/task-004\n/);
+  });
+
+  it('validates N and needs a runnable task', () => {
+    assert.match(runGolem(['build', '--parallel', 'x']).stderr, /--parallel needs a number of tasks, got "x"/);
+    fs.writeFileSync(plan.getPlanPath(tmp), task('TASK-001', 'a.js', { deps: 'TASK-002' }) + task('TASK-002', 'b.js', { status: 'blocked' }));
+    assert.match(runGolem(['build', '--parallel', '2']).stderr, /No pending task has all its dependencies completed/);
+  });
+});
+
+describe('golem worktree', () => {
+  let tmp;
+
+  function runGolem(args) {
+    return spawnSync(process.execPath, [GOLEM_BIN, ...args], {
+      cwd: tmp,
+      env: { ...HUMAN_ENV, ...GIT_ENV, HOME: tmp, NO_COLOR: '1' },
+      encoding: 'utf-8',
+      timeout: 10000,
+    });
+  }
+
+  beforeEach(() => {
+    tmp = makeRepo();
+    stateLib.writeState(tmp, { ...stateLib.createState(), phase: 'building' });
+  });
+  afterEach(() => { fs.rmSync(tmp, { recursive: true, force: true }); });
+
+  it('creates a feature worktree that golem status summarizes from the main checkout', () => {
+    const created = runGolem(['worktree', 'new', 'auth']);
+    assert.strictEqual(created.status, 0, created.stderr);
+    assert.match(created.stdout, /Worktree \.golem\/worktrees\/auth on branch feature\/auth/);
+
+    const dir = path.join(tmp, '.golem', 'worktrees', 'auth');
+    fs.writeFileSync(plan.getPlanPath(dir), task('TASK-001', 'a.js', { status: 'completed' }) + task('TASK-002', 'b.js'));
+    stateLib.writeState(dir, { ...stateLib.createState(), phase: 'building', last_run: { command: 'golem build', outcome: 'failed', attempts: 1 } });
+
+    assert.match(runGolem(['status']).stdout, /Worktrees\n\s+\.golem\/worktrees\/auth\s+feature\/auth\s+building\s+1\/2 tasks\s+last run ✗ failed/);
+    const { worktrees } = JSON.parse(runGolem(['status', '--json']).stdout);
+    assert.deepStrictEqual(worktrees.map(wt => [wt.name, wt.phase, wt.tasks_completed, wt.last_run]), [['.golem/worktrees/auth', 'building', 1, 'failed']]);
+    // The main checkout's state is untouched
+    assert.strictEqual(stateLib.readState(tmp).state.phase, 'building');
+    assert.strictEqual(plan.readPlan(plan.getPlanPath(tmp)), null);
+  });
+
+  it('lists and removes feature worktrees', () => {
+    runGolem(['worktree', 'new', 'auth', '--branch', 'wip/auth']);
+    assert.match(runGolem(['worktree', 'list']).stdout, /auth\s+wip\/auth\s+initialized/);
+    const removed = runGolem(['worktree', 'remove', 'auth']);
+    assert.strictEqual(removed.status, 0, removed.stderr);
+    assert.match(removed.stdout, /Branch wip\/auth is kept/);
+    assert.match(runGolem(['worktree', 'list']).stdout, /No worktrees in \.golem\/worktrees/);
+  });
+
+  it('refuses a worktree git would not ignore', () => {
+    fs.rmSync(path.join(tmp, '.gitignore'));
+    const result = runGolem(['worktree', 'new', 'auth']);
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /git does not ignore \.golem\/worktrees\//);
+    assert.match(result.stderr, /Add \.golem\/ to \.gitignore/);
+    assert.strictEqual(git(tmp, 'branch', '--list', 'feature/auth').stdout, '');
+  });
+
+  it('validates feature names', () => {
+    assert.match(runGolem(['worktree', 'new', '../x']).stderr, /Invalid feature name: "\.\.\/x"/);
+    assert.strictEqual(JSON.parse(runGolem(['worktree', 'remove', 'nope', '--json']).stdout).error, 'No worktree named "nope"');
+  });
+});